@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+// Command-line simulator
+//
+// Runs the same experiments as the browser's Experiment panel, without a browser:
+//
+//   node bin/slots.js simulate --config scenario.json --strategy ucb1,thompson \
+//       --episodes 500 --horizon 2000 --out results.csv
+//
+// The scenario file holds a list of machine configs, either on its own or as
+// the "machines" property of an object:
+//
+//   [{ "distribution": "normal", "parameters": [1, 1] },
+//    { "distribution": "bernoulli", "parameters": [0.6] }]
+//
+// The object form may also turn on hard mode, with optional drift settings as
+// saved in sessions (see drift.js): { "machines": [...], "hardMode": true,
+// "drift": { "randomWalkStep": 0.05 } }
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { runExperiment, resultsToRows, RESULT_COLUMNS } from '../js/experiment.js';
+import { StrategyRegistry, DEFAULT_STRATEGY } from '../js/strategies.js';
+import { DistributionRegistry, formatParameters, getExpectedValue } from '../js/distributions.js';
+import { normalizeConfigs } from '../js/machines.js';
+import { normalizeDrift } from '../js/drift.js';
+import { generateSeed } from '../js/random.js';
+import { toCsv } from '../js/csv.js';
+
+const USAGE = `Usage:
+  slots simulate --config <file> [options]
+  slots strategies
+  slots distributions
+
+Options for simulate:
+  --config <file>      Scenario JSON with the machine configurations (required)
+  --strategy <ids>     Comma-separated strategy ids (default: ${DEFAULT_STRATEGY})
+  --episodes <n>       Independent episodes per strategy (default: 100)
+  --horizon <n>        Pulls per episode (default: 1000)
+  --seed <text>        Seed for reproducible runs (default: random)
+  --checkpoints <n>    Number of pulls at which regret is recorded (default: 100)
+  --out <file>         Write per-checkpoint results as CSV (default: standard output)
+  --quiet              Don't print progress or the summary
+  --help               Show this message`;
+
+// Error for bad input, reported without a stack trace
+class UsageError extends Error {}
+
+function readScenario(path) {
+    let text;
+    try {
+        text = readFileSync(path, 'utf8');
+    } catch (error) {
+        throw new UsageError(`Cannot read ${path}: ${error.message}`);
+    }
+    
+    let scenario;
+    try {
+        scenario = JSON.parse(text);
+    } catch (error) {
+        throw new UsageError(`${path} is not valid JSON: ${error.message}`);
+    }
+    
+    const machines = Array.isArray(scenario) ? scenario : scenario && scenario.machines;
+    if (!Array.isArray(machines)) {
+        throw new UsageError(`${path} must contain a list of machines (or an object with a "machines" list)`);
+    }
+    // Anything else wrong with a machine is reported when the experiment is checked
+    const invalid = machines.findIndex(machine => !machine || typeof machine !== 'object' || Array.isArray(machine));
+    if (invalid !== -1) {
+        throw new UsageError(`${path}: machine ${invalid + 1} must be an object with a distribution and parameters`);
+    }
+    return {
+        configs: normalizeConfigs(machines),
+        drift: !Array.isArray(scenario) && scenario.hardMode === true ? normalizeDrift(scenario.drift) : null
+    };
+}
+
+function parseCount(value, name) {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1) {
+        throw new UsageError(`--${name} must be a whole number of at least 1`);
+    }
+    return count;
+}
+
+// Print a plain-text summary of the results to standard error
+function printSummary(results, configs) {
+    const rows = results.strategies.map(strategy => [
+        strategy.label,
+        strategy.regret.mean[strategy.regret.mean.length - 1].toFixed(2),
+        strategy.finalReward.mean.toFixed(2),
+        `${strategy.finalReward.p5.toFixed(2)} – ${strategy.finalReward.p95.toFixed(2)}`,
+        strategy.armFrequencies.map(frequency => `${(frequency * 100).toFixed(1)}%`).join(' ')
+    ]);
+    const header = ['Strategy', 'Mean regret', 'Mean reward', 'Reward 5th-95th', 'Share of pulls per machine'];
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+    
+    console.error('');
+    configs.forEach(config => {
+        const best = config.id === results.bestMachineIndex ? ' (best)' : '';
+        console.error(`Machine ${config.id + 1}: ${config.distribution} ${formatParameters(config.distribution, config.parameters)}, mean ${getExpectedValue(config)}${best}`);
+    });
+    console.error('');
+    console.error(formatRow(header));
+    rows.forEach(row => console.error(formatRow(row)));
+}
+
+function simulate(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            config: { type: 'string' },
+            strategy: { type: 'string', default: DEFAULT_STRATEGY },
+            episodes: { type: 'string', default: '100' },
+            horizon: { type: 'string', default: '1000' },
+            seed: { type: 'string' },
+            checkpoints: { type: 'string', default: '100' },
+            out: { type: 'string' },
+            quiet: { type: 'boolean', default: false }
+        }
+    });
+    
+    if (!values.config) {
+        throw new UsageError('--config is required');
+    }
+    
+    const { configs, drift } = readScenario(values.config);
+    const options = {
+        configs,
+        drift,
+        strategyIds: values.strategy.split(',').map(id => id.trim()).filter(id => id !== ''),
+        episodes: parseCount(values.episodes, 'episodes'),
+        horizon: parseCount(values.horizon, 'horizon'),
+        checkpoints: parseCount(values.checkpoints, 'checkpoints'),
+        seed: values.seed || generateSeed()
+    };
+    
+    const showProgress = !values.quiet && process.stderr.isTTY;
+    let results;
+    try {
+        results = runExperiment(options, (completed, total) => {
+            if (showProgress) process.stderr.write(`\rEpisode ${completed} of ${total}`);
+        });
+    } catch (error) {
+        // Invalid configurations and strategy ids are reported as one message per line
+        throw new UsageError(error.message);
+    }
+    if (showProgress) process.stderr.write('\n');
+    
+    const csv = toCsv(resultsToRows(results), RESULT_COLUMNS);
+    if (values.out) {
+        writeFileSync(values.out, csv);
+    } else {
+        process.stdout.write(csv);
+    }
+    
+    if (!values.quiet) {
+        printSummary(results, configs);
+        console.error(`\nSeed: ${options.seed}${values.out ? `\nResults written to ${values.out}` : ''}`);
+    }
+}
+
+function listStrategies() {
+    Object.keys(StrategyRegistry).forEach(id => {
+        console.log(`${id.padEnd(24)} ${StrategyRegistry[id].description}`);
+    });
+}
+
+function listDistributions() {
+    Object.keys(DistributionRegistry).forEach(id => {
+        const distribution = DistributionRegistry[id];
+        const params = distribution.params.map(param => param.name).join(', ');
+        console.log(`${id.padEnd(14)} ${distribution.label} (${params})`);
+    });
+}
+
+function main(argv) {
+    const [command, ...args] = argv;
+    
+    if (!command || command === '--help' || command === 'help' || args.includes('--help')) {
+        console.log(USAGE);
+        return;
+    }
+    
+    switch (command) {
+        case 'simulate':
+            simulate(args);
+            break;
+        case 'strategies':
+            listStrategies();
+            break;
+        case 'distributions':
+            listDistributions();
+            break;
+        default:
+            throw new UsageError(`Unknown command "${command}"`);
+    }
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    // parseArgs reports unknown or malformed options with a code starting ERR_PARSE_ARGS
+    if (error instanceof UsageError || (error.code && error.code.startsWith('ERR_PARSE_ARGS'))) {
+        console.error(`slots: ${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    throw error;
+}
@@ -1,15 +1,48 @@
 // Import necessary modules
-import { Distributions } from './distributions.js';
-import OptimalStrategy from './optimalStrategy.js';
+import { Distributions, DistributionRegistry } from './distributions.js';
+import { createRng, randomInt, setSeed, generateSeed, setRandomState } from './random.js';
+import { validateParameters, validateDefinition, validateMachineConfigs } from './validation.js';
+import {
+    initializeOptimalStrategy,
+    setBenchmarkStrategyId,
+    getBenchmarkStrategyId
+} from './optimalStrategy.js';
+import { StrategyRegistry, DEFAULT_STRATEGY } from './strategies.js';
 import { 
     createSlotMachine, 
-    resetMachineData, 
     toggleHardMode, 
-    setOriginalMachineConfigs,
     forcePermutation 
 } from './slotMachine.js';
-import { initializeChart, resetChart } from './chart.js';
-import { initializeRegretChart, resetRegretChart } from './regretChart.js';
+import {
+    GameEvents,
+    subscribe,
+    resetGame,
+    startGame,
+    endGame,
+    getGameSeed,
+    getTotalPulls,
+    getDriftSettings
+} from './gameState.js';
+import { DEFAULT_DRIFT, describeDrift } from './drift.js';
+import { initializeDriftPanel, fillDriftForm, validateDriftForm } from './driftPanel.js';
+import {
+    createSession,
+    parseSession,
+    serializeSession,
+    replaySession,
+    loadSavedSession,
+    enableAutosave
+} from './session.js';
+import { encodeShareHash, parseShareHash } from './shareLink.js';
+import { PULL_COLUMNS, SUMMARY_COLUMNS, pullHistoryRows, machineSummaryRows } from './historyExport.js';
+import { toCsv } from './csv.js';
+// The charts subscribe to game events when loaded
+import { fitPayoutChart } from './chart.js';
+import { fitRegretChart, setRegretType, setRegretBoundsVisible } from './regretChart.js';
+import { initializeExperimentPanel } from './experimentPanel.js';
+import { initializeReplayPanel } from './replayPanel.js';
+import { initializeConfidenceChart } from './confidenceChart.js';
+import { initializeArmShareChart } from './armShareChart.js';
 
 const distributions = {
     normal: (mean, stdDev) => {
@@ -44,43 +77,94 @@ document.addEventListener('DOMContentLoaded', () => {
     const submitButton = document.getElementById('submit-button');
     const slotMachineContainer = document.getElementById('slot-machine-container');
     const payoutChartContainer = document.getElementById('payout-chart');
-
+    
     distributionSelect.addEventListener('change', (event) => {
         selectedDistribution = event.target.value;
         updateParameterInputs(selectedDistribution);
     });
-
+    
     submitButton.addEventListener('click', () => {
         parameters = getParameters();
         createSlotMachines();
         renderChart();
     });
-
+    
     // DOM Elements
     const numMachinesInput = document.getElementById('num-machines');
     const machineConfigsContainer = document.getElementById('machine-configs');
     const generateButton = document.getElementById('generate-machines');
     const randomMachinesButton = document.getElementById('random-machines');
     const machinesContainer = document.getElementById('machines-container');
+    const seedInput = document.getElementById('seed');
+    const activeSeedElement = document.getElementById('active-seed');
+    const benchmarkSelect = document.getElementById('benchmark-strategy');
+    const benchmarkDescription = document.getElementById('benchmark-description');
+    
+    // Populate the benchmark strategy choices from the strategy registry
+    benchmarkSelect.innerHTML = Object.keys(StrategyRegistry).map(id => {
+        const entry = StrategyRegistry[id];
+        return `<option value="${id}">${entry.label}${entry.nonStationary ? ' (hard mode)' : ''}</option>`;
+    }).join('');
+    benchmarkSelect.value = getBenchmarkStrategyId();
+    benchmarkDescription.textContent = StrategyRegistry[benchmarkSelect.value].description;
+    updateBenchmarkOptions(false);
+    
+    // The new benchmark takes effect the next time machines are generated
+    benchmarkSelect.addEventListener('change', function() {
+        setBenchmarkStrategyId(this.value);
+        benchmarkDescription.textContent = StrategyRegistry[this.value].description;
+    });
+    
+    // Function to only offer the non-stationary strategies while hard mode can swap machines
+    function updateBenchmarkOptions(hardModeEnabled) {
+        Array.from(benchmarkSelect.options).forEach(option => {
+            option.disabled = !hardModeEnabled && Boolean(StrategyRegistry[option.value].nonStationary);
+        });
+        
+        if (benchmarkSelect.selectedOptions[0].disabled) {
+            benchmarkSelect.value = DEFAULT_STRATEGY;
+            setBenchmarkStrategyId(DEFAULT_STRATEGY);
+            benchmarkDescription.textContent = StrategyRegistry[DEFAULT_STRATEGY].description;
+        }
+    }
     
-    // Distribution types and their required parameters
-    const distributionTypes = {
-        'normal': ['Mean', 'Standard Deviation'],
-        'uniform': ['Minimum', 'Maximum'],
-        'chi-squared': ['Degrees of Freedom'],
-        'exponential': ['Rate Parameter'],
-        'poisson': ['Lambda (Rate)'],
-        'bernoulli': ['Success Probability']
-    };
+    // Drift settings are checked along with the machines, as they depend on how many there are
+    initializeDriftPanel(validateConfigForm);
     
     // Initialize machine configurations
     updateMachineConfigs();
     
+    // Experiments run on whatever machines are currently configured in the form
+    initializeExperimentPanel(collectMachineConfigs);
+    
+    // Confidence intervals and machine choices follow the game as it is played
+    initializeConfidenceChart();
+    initializeArmShareChart();
+    
     // Event Listeners
     numMachinesInput.addEventListener('change', updateMachineConfigs);
     generateButton.addEventListener('click', generateSlotMachines);
+    machineConfigsContainer.addEventListener('input', function(event) {
+        if (event.target.classList.contains('param-input')) {
+            validateConfigForm();
+        }
+    });
     randomMachinesButton.addEventListener('click', generateRandomMachines);
     
+    // DOM Elements for saving and loading sessions
+    const resumeSessionButton = document.getElementById('resume-session');
+    const exportSessionButton = document.getElementById('export-session');
+    const importSessionButton = document.getElementById('import-session');
+    const importSessionInput = document.getElementById('import-session-file');
+    const exportPullsButton = document.getElementById('export-pulls-csv');
+    const exportSummaryButton = document.getElementById('export-summary-csv');
+    
+    // DOM Elements for share links
+    const shareButton = document.getElementById('share-scenario');
+    const shareHiddenCheckbox = document.getElementById('share-hidden');
+    const shareUrlInput = document.getElementById('share-url');
+    const shareStatus = document.getElementById('share-status');
+    
     // DOM Elements for Hard Mode with improved selector
     const hardModeToggle = document.getElementById('hard-mode');
     
@@ -116,24 +200,12 @@ document.addEventListener('DOMContentLoaded', () => {
             const isEnabled = this.checked;
             console.log('Hard Mode Toggled:', isEnabled);
             toggleHardMode(isEnabled);
-            
-            // Update visual status
-            const statusElement = document.getElementById('hard-mode-status');
-            const testButton = document.getElementById('force-permute');
-            
-            if (statusElement) {
-                statusElement.textContent = `Hard Mode Status: ${isEnabled ? 'ENABLED' : 'Disabled'}`;
-                statusElement.className = isEnabled ? 'enabled' : '';
-                
-                // Show/hide test button
-                if (testButton) {
-                    testButton.style.display = isEnabled ? 'inline-block' : 'none';
-                }
-            }
+            updateBenchmarkOptions(isEnabled);
+            showHardModeStatus(isEnabled);
             
             // Show a warning when enabling hard mode with updated message
             if (isEnabled) {
-                alert('Hard Mode enabled! There is now a 5% chance that distributions will silently swap between machines when pulling a lever. The only way to detect changes is by observing results over time. Good luck!');
+                alert(`Hard Mode enabled! The machines will now silently change as you pull: ${describeDrift(getDriftSettings())}. The only way to detect changes is by observing results over time. Good luck!`);
             }
         });
     } else {
@@ -142,12 +214,40 @@ document.addEventListener('DOMContentLoaded', () => {
         createHardModeToggle();
     }
     
+    // Function to update the hard mode status line
+    function showHardModeStatus(isEnabled) {
+        const statusElement = document.getElementById('hard-mode-status');
+        const testButton = document.getElementById('force-permute');
+        
+        if (statusElement) {
+            statusElement.textContent = `Hard Mode Status: ${isEnabled ? 'ENABLED' : 'Disabled'}`;
+            statusElement.className = isEnabled ? 'enabled' : '';
+            
+            // Show/hide test button
+            if (testButton) {
+                testButton.style.display = isEnabled ? 'inline-block' : 'none';
+            }
+        }
+    }
+    
+    // Function to switch hard mode from code (a loaded session or link) without the warning
+    function setHardModeSetting(isEnabled) {
+        // The toggle may have been recreated by createHardModeToggle
+        const toggle = document.getElementById('hard-mode');
+        if (toggle) {
+            toggle.checked = isEnabled;
+        }
+        toggleHardMode(isEnabled);
+        updateBenchmarkOptions(isEnabled);
+        showHardModeStatus(isEnabled);
+    }
+    
     // Function to create hard mode toggle if missing
     function createHardModeToggle() {
         const container = document.createElement('div');
         container.className = 'mode-toggle-container';
         container.innerHTML = `
-            <label class="hard-mode-label">Hard Mode (5% chance of distributions swapping)</label>
+            <label class="hard-mode-label">Hard Mode (machines change while you play)</label>
             <div class="toggle-switch">
                 <input type="checkbox" id="hard-mode">
                 <label for="hard-mode" class="toggle-slider"></label>
@@ -164,8 +264,9 @@ document.addEventListener('DOMContentLoaded', () => {
             if (newToggle) {
                 newToggle.addEventListener('change', function() {
                     toggleHardMode(this.checked);
+                    updateBenchmarkOptions(this.checked);
                     if (this.checked) {
-                        alert('Hard Mode enabled! There is now a 5% chance that distributions will randomly swap when pulling a lever. Good luck!');
+                        alert(`Hard Mode enabled! The machines will now change as you pull: ${describeDrift(getDriftSettings())}. Good luck!`);
                     }
                 });
             }
@@ -187,9 +288,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 <div class="form-group">
                     <label for="distribution-${i}">Distribution:</label>
                     <select id="distribution-${i}" class="distribution-select" data-machine="${i}">
-                        ${Object.keys(distributionTypes).map(dist => 
-                            `<option value="${dist}">${dist.charAt(0).toUpperCase() + dist.slice(1)}</option>`
-                        ).join('')}
+                        ${createDistributionOptions()}
                     </select>
                 </div>
                 <div id="params-container-${i}" class="params-container">
@@ -205,28 +304,54 @@ document.addEventListener('DOMContentLoaded', () => {
                 const selectedDist = this.value;
                 const paramsContainer = document.getElementById(`params-container-${machineIndex}`);
                 paramsContainer.innerHTML = createParameterInputs(machineIndex, selectedDist);
+                validateConfigForm();
             });
         }
+        
+        validateConfigForm();
+    }
+    
+    // Premade distributions first, then the user-defined ones under "Custom"
+    function createDistributionOptions() {
+        const toOption = dist => `<option value="${dist}">${DistributionRegistry[dist].label}</option>`;
+        const types = Object.keys(DistributionRegistry);
+        const premade = types.filter(dist => !DistributionRegistry[dist].custom);
+        const custom = types.filter(dist => DistributionRegistry[dist].custom);
+        
+        return `
+            ${premade.map(toOption).join('')}
+            <optgroup label="Custom">
+                ${custom.map(toOption).join('')}
+            </optgroup>
+        `;
     }
     
     function createParameterInputs(machineIndex, distributionType) {
-        const params = distributionTypes[distributionType];
+        // Labels, defaults and step sizes come from the distribution registry
+        const params = DistributionRegistry[distributionType].params;
         let html = '';
         
         params.forEach((param, i) => {
-            // Set step value based on distribution and parameter type
-            let stepValue = "0.01"; // Default step for most parameters
-            
-            // Set special step value for Bernoulli distribution
-            if (distributionType === 'bernoulli') {
-                stepValue = "0.001"; // Finer step for probability
+            // Custom distributions are defined in a free-text box
+            if (param.type === 'text') {
+                html += `
+                    <div class="form-group">
+                        <label for="param-${machineIndex}-${i}">${param.label}:</label>
+                        <textarea id="param-${machineIndex}-${i}" class="param-input custom-definition" 
+                            rows="4">${param.default}</textarea>
+                        <p class="param-error" id="param-error-${machineIndex}-${i}"></p>
+                        <p class="param-help">${param.help}</p>
+                    </div>
+                `;
+                return;
             }
             
             html += `
                 <div class="form-group">
-                    <label for="param-${machineIndex}-${i}">${param}:</label>
+                    <label for="param-${machineIndex}-${i}">${param.label}:</label>
                     <input type="number" id="param-${machineIndex}-${i}" class="param-input" 
-                        step="${stepValue}" value="${getDefaultValue(distributionType, i)}">
+                        step="${param.step}" value="${param.default}">
+                    <p class="param-error" id="param-error-${machineIndex}-${i}"></p>
                 </div>
             `;
         });
@@ -234,22 +359,95 @@ document.addEventListener('DOMContentLoaded', () => {
         return html;
     }
     
-    function getDefaultValue(distributionType, paramIndex) {
-        const defaults = {
-            'normal': [0, 1],
-            'uniform': [0, 1],
-            'chi-squared': [1],
-            'exponential': [1],
-            'poisson': [1],
-            'bernoulli': [0.5]
-        };
-        
-        return defaults[distributionType][paramIndex] || 0;
+    // Function to check one machine's form and show errors next to its inputs
+    function validateMachineForm(machineIndex) {
+        const distributionType = document.getElementById(`distribution-${machineIndex}`).value;
+        const inputs = document.querySelectorAll(`#params-container-${machineIndex} .param-input`);
+        
+        const errors = DistributionRegistry[distributionType].custom
+            ? validateDefinition(distributionType, inputs[0].value)
+            : validateParameters(distributionType, Array.from(inputs).map(input => parseFloat(input.value)));
+        
+        inputs.forEach((input, i) => {
+            // Errors about the whole machine are shown on its first input
+            const messages = errors
+                .filter(error => error.index === i || (error.index === -1 && i === 0))
+                .map(error => error.message);
+            input.classList.toggle('invalid', messages.length > 0);
+            document.getElementById(`param-error-${machineIndex}-${i}`).textContent = messages.join('. ');
+        });
+        
+        return errors.length === 0;
+    }
+    
+    // Function to validate every machine form and the drift settings; generation is
+    // blocked until all are valid
+    function validateConfigForm() {
+        const numForms = machineConfigsContainer.querySelectorAll('.machine-config').length;
+        let valid = true;
+        
+        for (let i = 0; i < numForms; i++) {
+            if (!validateMachineForm(i)) {
+                valid = false;
+            }
+        }
+        if (!validateDriftForm(numForms)) {
+            valid = false;
+        }
+        
+        generateButton.disabled = !valid;
+        return valid;
+    }
+    
+    // Function to seed the shared random stream from the configuration panel
+    function applySeed() {
+        const seed = setSeed(seedInput.value.trim() || generateSeed());
+        activeSeedElement.textContent = `Seed in use: ${seed}`;
+        return seed;
     }
     
-    function generateSlotMachines() {
-        // Reset previous state
-        resetCharts();
+    // Read a machine's parameters from its form, parsing custom definitions
+    function readMachineParameters(machineIndex, distributionType) {
+        const distribution = DistributionRegistry[distributionType];
+        const paramInputs = document.querySelectorAll(`#params-container-${machineIndex} .param-input`);
+        
+        if (distribution.parse) {
+            return distribution.parse(paramInputs[0].value);
+        }
+        
+        const params = [];
+        paramInputs.forEach(input => {
+            params.push(parseFloat(input.value));
+        });
+        return params;
+    }
+    
+    // Function to fill the config form with the given machines (the reverse of collectMachineConfigs)
+    function fillMachineForm(machineConfigs) {
+        numMachinesInput.value = machineConfigs.length;
+        updateMachineConfigs();
+        
+        machineConfigs.forEach((config, i) => {
+            const distribution = DistributionRegistry[config.distribution];
+            document.getElementById(`distribution-${i}`).value = config.distribution;
+            document.getElementById(`params-container-${i}`).innerHTML = createParameterInputs(i, config.distribution);
+            
+            const paramInputs = document.querySelectorAll(`#params-container-${i} .param-input`);
+            if (distribution.custom) {
+                paramInputs[0].value = distribution.toText(config.parameters);
+            } else {
+                paramInputs.forEach((input, j) => {
+                    input.value = config.parameters[j];
+                });
+            }
+        });
+        
+        validateConfigForm();
+    }
+    
+    // Function to read the machine configurations from the form; returns null if they are invalid
+    function collectMachineConfigs() {
+        if (!validateConfigForm()) return null;
         
         const numMachines = parseInt(numMachinesInput.value);
         const machineConfigs = [];
@@ -257,12 +455,14 @@ document.addEventListener('DOMContentLoaded', () => {
         // Collect machine configurations
         for (let i = 0; i < numMachines; i++) {
             const distributionType = document.getElementById(`distribution-${i}`).value;
-            const params = [];
-            const paramInputs = document.querySelectorAll(`#params-container-${i} .param-input`);
+            let params;
             
-            paramInputs.forEach(input => {
-                params.push(parseFloat(input.value));
-            });
+            try {
+                params = readMachineParameters(i, distributionType);
+            } catch (error) {
+                alert(`Machine ${i + 1}: ${error.message}`);
+                return null;
+            }
             
             machineConfigs.push({
                 id: i,
@@ -271,11 +471,33 @@ document.addEventListener('DOMContentLoaded', () => {
             });
         }
         
-        // Store the original configurations for Hard Mode
-        setOriginalMachineConfigs(machineConfigs);
+        const errors = validateMachineConfigs(machineConfigs);
+        if (errors.length > 0) {
+            alert(`Please fix the machine configuration:\n${errors.join('\n')}`);
+            return null;
+        }
+        
+        return machineConfigs;
+    }
+    
+    function generateSlotMachines() {
+        const machineConfigs = collectMachineConfigs();
+        if (!machineConfigs) return;
+        
+        startNewGame(machineConfigs, applySeed());
+    }
+    
+    // Function to start a game: clear the previous one, build the machines and
+    // announce it (the charts and other listeners initialize from the event).
+    // Shared links in play mode hide which distribution each machine uses.
+    function startNewGame(machineConfigs, seed, hideDistributions = false) {
+        resetGame();
         
         // Clear previous machines
         machinesContainer.innerHTML = '';
+        machinesContainer.classList.toggle('distributions-hidden', hideDistributions);
+        machinesContainer.classList.remove('game-ended');
+        document.getElementById('end-game-status').textContent = '';
         
         // Create slot machines
         machineConfigs.forEach(config => {
@@ -283,26 +505,204 @@ document.addEventListener('DOMContentLoaded', () => {
             machinesContainer.appendChild(machine);
         });
         
-        // Initialize charts with machine configurations
-        initializeChart(machineConfigs);
-        initializeRegretChart(machineConfigs);
-        
-        // Initialize optimal strategy
+        // Initialize optimal strategy (before the charts, which show its name and estimates)
         initializeOptimalStrategy(machineConfigs);
+        
+        startGame(machineConfigs, seed);
+        
+        // A new game replaces the autosaved one
+        resumeSessionButton.classList.add('hidden');
     }
-
-    // Make initializeOptimalStrategy available
-    window.initializeOptimalStrategy = function(configs) {
-        // Initialize estimates for each machine
-        window.optimalMachineEstimates = configs.map(config => ({
-            id: config.id,
-            pulls: 0,
-            totalPayout: 0,
-            mean: 0,
-            ucb: Infinity // Upper Confidence Bound
-        }));
-    };
-
+    
+    // Function to rebuild a saved session: the form and settings it was played with,
+    // then the machines and charts by replaying its pulls
+    function restoreSession(session) {
+        // Sessions saved before drift settings existed only had the default swaps
+        fillDriftForm(session.drift || DEFAULT_DRIFT);
+        fillMachineForm(session.originalConfigs);
+        
+        setHardModeSetting(session.hardMode);
+        
+        benchmarkSelect.value = session.benchmarkStrategyId;
+        setBenchmarkStrategyId(session.benchmarkStrategyId);
+        benchmarkDescription.textContent = StrategyRegistry[session.benchmarkStrategyId].description;
+        
+        seedInput.value = session.seed;
+        startNewGame(session.originalConfigs, applySeed());
+        replaySession(session);
+        
+        // Carry on with the same hard-mode swaps as if the page had never been closed
+        if (session.randomState !== undefined) {
+            setRandomState(session.randomState);
+        }
+        
+        document.getElementById('slot-machines').scrollIntoView({ behavior: 'smooth' });
+    }
+    
+    // Offer to resume the autosaved session, then keep saving the game in progress
+    const savedSession = loadSavedSession();
+    if (savedSession) {
+        const savedAt = new Date(savedSession.savedAt).toLocaleString();
+        resumeSessionButton.textContent = `Resume Saved Session (${savedSession.pulls.length} pulls, ${savedAt})`;
+        resumeSessionButton.classList.remove('hidden');
+        resumeSessionButton.addEventListener('click', () => restoreSession(savedSession));
+    }
+    enableAutosave();
+    
+    // Function to save text as a file through the browser's download
+    function downloadFile(filename, text, type) {
+        const blob = new Blob([text], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    // Function to get the game in progress for exporting; null (after telling the user) if there is none
+    function getSessionToExport() {
+        const session = createSession();
+        if (!session) {
+            alert('Generate some slot machines before exporting a session.');
+        }
+        return session;
+    }
+    
+    exportSessionButton.addEventListener('click', function() {
+        const session = getSessionToExport();
+        if (!session) return;
+        downloadFile(`slot-machines-${session.seed}.json`, serializeSession(session), 'application/json');
+    });
+    
+    exportPullsButton.addEventListener('click', function() {
+        const session = getSessionToExport();
+        if (!session) return;
+        downloadFile(`slot-machines-${session.seed}-pulls.csv`,
+            toCsv(pullHistoryRows(session), PULL_COLUMNS), 'text/csv');
+    });
+    
+    exportSummaryButton.addEventListener('click', function() {
+        const session = getSessionToExport();
+        if (!session) return;
+        downloadFile(`slot-machines-${session.seed}-machines.csv`,
+            toCsv(machineSummaryRows(session), SUMMARY_COLUMNS), 'text/csv');
+    });
+    
+    // Function to put the configured scenario in the URL and copy the link
+    shareButton.addEventListener('click', async function() {
+        const machineConfigs = collectMachineConfigs();
+        if (!machineConfigs) return;
+        
+        // Always share a seed so everyone gets the same payouts
+        const hardModeToggleElement = document.getElementById('hard-mode');
+        const hash = encodeShareHash({
+            configs: machineConfigs,
+            seed: seedInput.value.trim() || getGameSeed() || generateSeed(),
+            hardMode: Boolean(hardModeToggleElement && hardModeToggleElement.checked),
+            drift: getDriftSettings(),
+            hideDistributions: shareHiddenCheckbox.checked
+        });
+        
+        // Replacing the URL doesn't fire 'hashchange', so the page isn't reloaded from it
+        history.replaceState(null, '', hash);
+        shareUrlInput.value = location.href;
+        shareUrlInput.classList.remove('hidden');
+        shareUrlInput.select();
+        
+        try {
+            await navigator.clipboard.writeText(location.href);
+            shareStatus.textContent = 'Link copied to the clipboard.';
+        } catch (error) {
+            shareStatus.textContent = 'Copy the link above to share this scenario.';
+        }
+    });
+    
+    // Function to load a scenario from the URL hash, if there is one
+    function loadShareLink() {
+        let scenario;
+        try {
+            scenario = parseShareHash(location.hash);
+        } catch (error) {
+            alert(`This share link is invalid:\n${error.message}`);
+            return;
+        }
+        if (!scenario) return;
+        
+        setHardModeSetting(scenario.hardMode);
+        fillDriftForm(scenario.drift);
+        validateDriftForm(scenario.configs.length);
+        seedInput.value = scenario.seed;
+        
+        if (scenario.hideDistributions) {
+            // Play mode: go straight to the machines without showing their configuration
+            startNewGame(scenario.configs, applySeed(), true);
+            shareStatus.textContent = 'Playing a shared scenario with hidden distributions.';
+            document.getElementById('slot-machines').scrollIntoView({ behavior: 'smooth' });
+        } else {
+            fillMachineForm(scenario.configs);
+            shareStatus.textContent = 'Loaded a shared scenario. Click "Generate Slot Machines" to play it.';
+        }
+    }
+    
+    loadShareLink();
+    window.addEventListener('hashchange', loadShareLink);
+    
+    // Replays rebuild the same machines, keeping a shared game's distributions hidden
+    initializeReplayPanel((machineConfigs, seed) => startNewGame(machineConfigs, seed,
+        machinesContainer.classList.contains('distributions-hidden')));
+    
+    importSessionButton.addEventListener('click', () => importSessionInput.click());
+    importSessionInput.addEventListener('change', async function() {
+        const file = this.files[0];
+        // Clear the input so the same file can be imported again
+        this.value = '';
+        if (!file) return;
+        
+        let session;
+        try {
+            session = parseSession(await file.text());
+        } catch (error) {
+            alert(`Could not import ${file.name}:\n${error.message}`);
+            return;
+        }
+        restoreSession(session);
+    });
+    
+    // Ending the game stops the pulls and reveals when hard mode swapped the machines
+    document.getElementById('end-game').addEventListener('click', () => {
+        if (getTotalPulls() === 0) {
+            alert('Pull some levers before ending the game.');
+            return;
+        }
+        endGame();
+    });
+    
+    subscribe(GameEvents.GAME_ENDED, ({ pulls, permutations }) => {
+        machinesContainer.classList.add('game-ended');
+        
+        let text = `Game over after ${pulls} pull${pulls === 1 ? '' : 's'}. `;
+        if (permutations.length === 0) {
+            text += 'The machines were never swapped.';
+        } else {
+            const swapPulls = permutations.map(permutation => permutation.pull).join(', ');
+            text += `Hard mode swapped the machines ${permutations.length} time${permutations.length === 1 ? '' : 's'}, ` +
+                `after pull${permutations.length === 1 ? '' : 's'} ${swapPulls} (marked on the charts).`;
+        }
+        document.getElementById('end-game-status').textContent = text;
+    });
+    
+    // Zoom the charts back out to the whole history
+    document.getElementById('fit-payout-chart').addEventListener('click', fitPayoutChart);
+    document.getElementById('fit-regret-chart').addEventListener('click', fitRegretChart);
+    
+    // Regret type and theoretical bounds on the regret chart
+    document.getElementById('regret-type').addEventListener('change', function() {
+        setRegretType(this.value);
+    });
+    document.getElementById('regret-bounds').addEventListener('change', function() {
+        setRegretBoundsVisible(this.checked);
+    });
+    
     // Add event listener for regret chart toggle
     const toggleRegretChartButton = document.getElementById('toggle-regret-chart');
     const regretChartContainer = document.getElementById('regret-chart-container');
@@ -313,27 +713,32 @@ document.addEventListener('DOMContentLoaded', () => {
             this.textContent = regretChartContainer.classList.contains('hidden') 
                 ? 'Show Regret Chart' 
                 : 'Hide Regret Chart';
-                
+            
             // If revealing the chart, we may need to resize it
             if (!regretChartContainer.classList.contains('hidden')) {
                 window.dispatchEvent(new Event('resize'));
             }
         });
     }
-
+    
     // Function to generate random machines
     function generateRandomMachines() {
-        // Reset previous state
-        resetCharts();
+        // Seed first so the random machines can be reproduced too. They come from
+        // their own stream, so the game's stream (and hard-mode swaps) starts
+        // from the seed just as it does for the same machines entered by hand.
+        const seed = applySeed();
+        const rng = createRng(`${seed}:machines`);
         
         // Get number of machines from input (or generate random number between 2-8)
-        const numMachines = parseInt(numMachinesInput.value) || Math.floor(Math.random() * 7) + 2;
+        const numMachines = parseInt(numMachinesInput.value) || randomInt(7, rng) + 2;
         
         // Update the input value to match the number of machines we'll create
         numMachinesInput.value = numMachines;
         
-        // Array of distribution types
-        const distTypes = Object.keys(distributionTypes);
+        // Array of premade distribution types with random parameters (custom ones need
+        // user input, and those without a finite mean have none)
+        const distTypes = Object.keys(DistributionRegistry)
+            .filter(dist => !DistributionRegistry[dist].custom && DistributionRegistry[dist].randomParameters);
         
         // Create array to hold machine configurations
         const machineConfigs = [];
@@ -341,10 +746,10 @@ document.addEventListener('DOMContentLoaded', () => {
         // Create random machine configurations
         for (let i = 0; i < numMachines; i++) {
             // Select a random distribution type
-            const distributionType = distTypes[Math.floor(Math.random() * distTypes.length)];
+            const distributionType = distTypes[randomInt(distTypes.length, rng)];
             
             // Generate reasonable random parameters based on distribution type
-            const params = generateRandomParameters(distributionType);
+            const params = generateRandomParameters(distributionType, rng);
             
             machineConfigs.push({
                 id: i,
@@ -353,68 +758,16 @@ document.addEventListener('DOMContentLoaded', () => {
             });
         }
         
-        // Store the original configurations for Hard Mode
-        setOriginalMachineConfigs(machineConfigs);
-        
-        // Clear previous machines
-        machinesContainer.innerHTML = '';
-        
-        // Create slot machines
-        machineConfigs.forEach(config => {
-            const machine = createSlotMachine(config);
-            machinesContainer.appendChild(machine);
-        });
-        
-        // Initialize charts with machine configurations
-        initializeChart(machineConfigs);
-        initializeRegretChart(machineConfigs);
-        
-        // Initialize optimal strategy
-        initializeOptimalStrategy(machineConfigs);
+        startNewGame(machineConfigs, seed);
         
         // Scroll to machines
         document.getElementById('slot-machines').scrollIntoView({ behavior: 'smooth' });
     }
     
     // Function to generate reasonable random parameters for each distribution type
-    function generateRandomParameters(distributionType) {
-        switch (distributionType) {
-            case 'normal':
-                // Mean between -5 and 5, StdDev between 0.5 and 3
-                return [
-                    parseFloat((Math.random() * 10 - 5).toFixed(2)),
-                    parseFloat((Math.random() * 2.5 + 0.5).toFixed(2))
-                ];
-            case 'uniform':
-                // Generate min and max with at least 1 unit difference
-                const min = parseFloat((Math.random() * 10 - 5).toFixed(2));
-                const max = parseFloat((min + 1 + Math.random() * 5).toFixed(2));
-                return [min, max];
-            case 'chi-squared':
-                // Degrees of freedom between 1 and 10
-                return [Math.floor(Math.random() * 10) + 1];
-            case 'exponential':
-                // Rate parameter between 0.5 and 5
-                return [parseFloat((Math.random() * 4.5 + 0.5).toFixed(2))];
-            case 'poisson':
-                // Lambda (rate) between 0.5 and 10
-                return [parseFloat((Math.random() * 9.5 + 0.5).toFixed(2))];
-            case 'bernoulli':
-                // Success probability between 0.1 and 0.9 with 3 decimal places
-                return [parseFloat((Math.random() * 0.8 + 0.1).toFixed(3))];
-            default:
-                return [0];
-        }
-    }
-    
-    // Function to reset all charts and machine data
-    function resetCharts() {
-        // Reset chart data
-        resetChart();
-        resetRegretChart();
-        
-        // Reset machine data
-        resetMachineData();
+    function generateRandomParameters(distributionType, rng) {
+        const distribution = DistributionRegistry[distributionType];
+        return distribution ? distribution.randomParameters(rng) : [0];
     }
 });
 
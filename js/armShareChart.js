@@ -0,0 +1,266 @@
+// Arm-selection chart: the cumulative share of pulls each machine received over time
+//
+// One small stacked-area chart for you and one for each benchmark strategy, so
+// exploration (shares spread out) and exploitation (one machine takes over) can
+// be compared side by side. The best machine is the best one in play, and
+// hard-mode swaps are marked once the game is over. Besides the benchmark
+// actually in play, every other strategy is replayed in the background on the
+// same reward table, from the same seed, so they all face exactly the rounds you
+// did. That only happens while the panel is open; opening it later catches up on
+// the pulls made so far.
+import { StrategyRegistry, createStrategy } from './strategies.js';
+import { getRewardFamily } from './distributions.js';
+import { createRng } from './random.js';
+import {
+    GameEvents,
+    subscribe,
+    getOriginalConfigs,
+    getPullHistory,
+    getPermutationHistory,
+    getGameSeed,
+    isHardModeEnabled,
+    isGameEnded
+} from './gameState.js';
+import { getActiveBenchmarkId } from './optimalStrategy.js';
+import { getBestMachineIndex } from './chart.js';
+import { createRenderScheduler } from './chartHistory.js';
+
+const WIDTH = 240;
+const HEIGHT = 150;
+const MARGIN = { top: 8, right: 8, bottom: 22, left: 34 };
+
+// Snapshots kept per game; past this, every other one is dropped and the spacing doubles
+const MAX_SNAPSHOTS = 400;
+
+const PLAYER = 'player';
+
+// Pull counts per machine for you and every strategy, caught up from the pull history
+let tracker = null;
+
+function createTracker() {
+    const configs = getOriginalConfigs();
+    const seed = getGameSeed();
+    const families = configs.map(getRewardFamily);
+    const strategies = {};
+    Object.keys(StrategyRegistry).forEach(strategyId => {
+        // Same stream as the real benchmark, so each strategy plays as it would have
+        strategies[strategyId] = createStrategy(strategyId, configs.length, {
+            rng: createRng(`${seed}:benchmark`),
+            families
+        });
+    });
+    
+    const counts = { [PLAYER]: new Array(configs.length).fill(0) };
+    Object.keys(strategies).forEach(strategyId => {
+        counts[strategyId] = new Array(configs.length).fill(0);
+    });
+    
+    return { numMachines: configs.length, strategies, counts, processed: 0, stride: 1, snapshots: [] };
+}
+
+function takeSnapshot(pull) {
+    const counts = {};
+    Object.keys(tracker.counts).forEach(source => {
+        counts[source] = tracker.counts[source].slice();
+    });
+    tracker.snapshots.push({ pull, counts });
+    
+    if (tracker.snapshots.length > MAX_SNAPSHOTS) {
+        tracker.stride *= 2;
+        tracker.snapshots = tracker.snapshots.filter(snapshot => snapshot.pull % tracker.stride === 0);
+    }
+}
+
+// Function to play every pull not yet counted
+function catchUp() {
+    if (!tracker) {
+        tracker = createTracker();
+    }
+    
+    const activeStrategyId = getActiveBenchmarkId();
+    const history = getPullHistory();
+    for (let i = tracker.processed; i < history.length; i++) {
+        const record = history[i];
+        tracker.counts[PLAYER][record.machineId]++;
+        
+        Object.entries(tracker.strategies).forEach(([strategyId, strategy]) => {
+            // The benchmark in play already recorded its move
+            if (strategyId === activeStrategyId) {
+                tracker.counts[strategyId][record.benchmark.machineId]++;
+                return;
+            }
+            const arm = strategy.selectArm();
+            strategy.observe(arm, record.roundRewards[arm]);
+            tracker.counts[strategyId][arm]++;
+        });
+        
+        if (record.pull % tracker.stride === 0) {
+            takeSnapshot(record.pull);
+        }
+    }
+    tracker.processed = history.length;
+}
+
+// Sources shown: you, the benchmark in play, then the other strategies
+// (the non-stationary ones only with hard mode on, as in the benchmark list)
+function visibleSources() {
+    const activeStrategyId = getActiveBenchmarkId();
+    const others = Object.keys(StrategyRegistry).filter(strategyId =>
+        strategyId !== activeStrategyId && (isHardModeEnabled() || !StrategyRegistry[strategyId].nonStationary));
+    return [PLAYER, ...(activeStrategyId ? [activeStrategyId] : []), ...others];
+}
+
+function sourceLabel(source) {
+    if (source === PLAYER) return 'You';
+    const label = StrategyRegistry[source].label;
+    return source === getActiveBenchmarkId() ? `${label} (benchmark)` : label;
+}
+
+function machineColor(machineId, numMachines) {
+    return d3.interpolateViridis(numMachines > 1 ? machineId / (numMachines - 1) : 0.5);
+}
+
+function isDistributionHidden() {
+    const container = document.getElementById('machines-container');
+    return Boolean(container) && container.classList.contains('distributions-hidden');
+}
+
+function isVisible() {
+    const container = document.getElementById('arm-share-container');
+    return Boolean(container) && !container.classList.contains('hidden');
+}
+
+// Function to draw one source's stacked shares of pulls
+function drawPanel(parent, source, points, bestMachine, permutations) {
+    const panel = d3.select(parent).append('div').attr('class', 'arm-share-panel');
+    const latest = points[points.length - 1];
+    let title = sourceLabel(source);
+    if (bestMachine !== -1) {
+        title += ` · ${(latest.shares[bestMachine] * 100).toFixed(0)}% on the best machine`;
+    }
+    panel.append('h3').text(title);
+    
+    const svg = panel.append('svg').attr('viewBox', `0 0 ${WIDTH} ${HEIGHT}`);
+    const plot = svg.append('g').attr('transform', `translate(${MARGIN.left},${MARGIN.top})`);
+    const width = WIDTH - MARGIN.left - MARGIN.right;
+    const height = HEIGHT - MARGIN.top - MARGIN.bottom;
+    
+    const x = d3.scaleLinear().domain([points[0].pull, latest.pull]).range([0, width]);
+    const y = d3.scaleLinear().domain([0, 1]).range([height, 0]);
+    const numMachines = latest.shares.length;
+    const layers = d3.stack()
+        .keys(d3.range(numMachines))
+        .value((point, machineId) => point.shares[machineId])(points);
+    
+    plot.selectAll('path.arm-share-layer')
+        .data(layers)
+        .join('path')
+        .attr('class', 'arm-share-layer')
+        .attr('fill', layer => machineColor(layer.key, numMachines))
+        // The best machine stands out; the others are faded
+        .attr('fill-opacity', layer => (bestMachine === -1 || layer.key === bestMachine ? 0.9 : 0.35))
+        .attr('stroke', layer => (layer.key === bestMachine ? '#000' : 'none'))
+        .attr('stroke-width', 1)
+        .attr('d', d3.area()
+            .x(point => x(point.data.pull))
+            .y0(point => y(point[0]))
+            .y1(point => y(point[1])))
+        .append('title')
+        .text(layer => `Machine ${layer.key + 1}: ${(latest.shares[layer.key] * 100).toFixed(1)}% of pulls`);
+    
+    plot.selectAll('line.arm-share-swap')
+        .data(permutations.filter(permutation => permutation.pull > 0 && permutation.pull < latest.pull))
+        .join('line')
+        .attr('class', 'arm-share-swap')
+        .attr('x1', permutation => x(permutation.pull))
+        .attr('x2', permutation => x(permutation.pull))
+        .attr('y1', 0)
+        .attr('y2', height)
+        .append('title')
+        .text(permutation => `Hard mode swapped the machines after pull ${permutation.pull}`);
+    
+    plot.append('g')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x).ticks(4).tickFormat(d3.format('~s')));
+    plot.append('g').call(d3.axisLeft(y).ticks(4).tickFormat(d3.format('.0%')));
+}
+
+// Function to draw the panels for the game in progress
+function renderArmShareChart() {
+    const container = document.getElementById('arm-share-chart');
+    if (!container || !isVisible() || typeof d3 === 'undefined') return;
+    
+    container.innerHTML = '';
+    if (getOriginalConfigs().length === 0 || getPullHistory().length === 0) {
+        container.innerHTML = '<p class="seed-info">Pull some levers to see which machines were chosen.</p>';
+        return;
+    }
+    
+    catchUp();
+    // The latest pull is always drawn, even between snapshots
+    const snapshots = tracker.snapshots.slice();
+    if (snapshots.length === 0 || snapshots[snapshots.length - 1].pull !== tracker.processed) {
+        snapshots.push({ pull: tracker.processed, counts: tracker.counts });
+    }
+    
+    // No best machine to point out while the distributions are hidden
+    const bestMachine = isDistributionHidden() ? -1 : getBestMachineIndex();
+    // Swaps stay secret until the game is over
+    const permutations = isGameEnded() ? getPermutationHistory() : [];
+    
+    const legend = d3.select(container).append('div').attr('class', 'arm-share-legend');
+    d3.range(tracker.numMachines).forEach(machineId => {
+        const entry = legend.append('span');
+        entry.append('span')
+            .attr('class', 'arm-share-swatch')
+            .style('background', machineColor(machineId, tracker.numMachines));
+        entry.append('span').text(`Machine ${machineId + 1}${machineId === bestMachine ? ' (best)' : ''}`);
+    });
+    if (permutations.length > 0) {
+        legend.append('span').text('Dashed lines: hard-mode swaps');
+    }
+    
+    const grid = d3.select(container).append('div').attr('class', 'arm-share-grid').node();
+    visibleSources().forEach(source => {
+        const points = snapshots.map(snapshot => ({
+            pull: snapshot.pull,
+            shares: snapshot.counts[source].map(count => count / snapshot.pull)
+        }));
+        drawPanel(grid, source, points, bestMachine, permutations);
+    });
+}
+
+const scheduleRender = createRenderScheduler(renderArmShareChart);
+
+// Function to set up the toggle button
+function initializeArmShareChart() {
+    const toggleButton = document.getElementById('toggle-arm-share-chart');
+    const container = document.getElementById('arm-share-container');
+    if (!toggleButton || !container) return;
+    
+    toggleButton.addEventListener('click', function() {
+        container.classList.toggle('hidden');
+        this.textContent = container.classList.contains('hidden')
+            ? 'Show Machine Choices'
+            : 'Hide Machine Choices';
+        scheduleRender();
+    });
+}
+
+// A new game starts the counts again; pulls are counted when the panel is drawn
+subscribe(GameEvents.RESET, () => {
+    tracker = null;
+});
+subscribe(GameEvents.MACHINES_GENERATED, () => {
+    tracker = null;
+    scheduleRender();
+});
+[GameEvents.PULL, GameEvents.PERMUTATION, GameEvents.HARD_MODE, GameEvents.GAME_ENDED].forEach(type => {
+    subscribe(type, () => {
+        if (isVisible()) {
+            scheduleRender();
+        }
+    });
+});
+
+export { initializeArmShareChart };
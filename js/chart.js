@@ -1,13 +1,33 @@
 // Import any dependencies
-import { machineData, totalPulls, latestPullResults } from './slotMachine.js';
-import { Distributions } from './distributions.js';
+import { getTrueMeans, findBestMeanIndex } from './drift.js';
+import { getOptimalEstimates, getBenchmarkLabel } from './optimalStrategy.js';
+import { GameEvents, subscribe, getTotalPayout, getPermutationHistory } from './gameState.js';
+import { valueAtPull } from './experiment.js';
+import {
+    SeriesBuffer,
+    buildVisiblePoints,
+    createZoomOptions,
+    updateZoomLimits,
+    fitAll,
+    swapLinesPlugin,
+    showSwapLines,
+    createRenderScheduler
+} from './chartHistory.js';
 
 let payoutChart = null;
 let machineConfigs = [];
+// Machines in play, which differ from machineConfigs after a hard-mode swap
+let currentConfigs = [];
 let optimalStrategyTotalPayout = 0;
 let bestPossibleTotalPayout = 0; // Changed name to reflect actual best possible payout
 let bestMachineIndex = -1;
 let bestMachineEV = 0;
+let simulatedCurves = []; // Mean total payout per strategy from the experiment panel
+// Totals after every pull (your payout, the benchmark's and the best possible)
+let payoutSeries = [];
+
+// Colors for simulated averages, which follow the three main datasets
+const SIMULATED_COLORS = ['#3b528b', '#5ec962', '#482878', '#35b779', '#31688e'];
 
 // Function to reset/destroy the chart
 function resetChart() {
@@ -23,6 +43,9 @@ function resetChart() {
     bestMachineIndex = -1;
     bestMachineEV = 0;
     machineConfigs = [];
+    currentConfigs = [];
+    simulatedCurves = [];
+    payoutSeries = [];
 }
 
 // Function to initialize the chart
@@ -31,9 +54,14 @@ function initializeChart(configs) {
     resetChart();
     
     machineConfigs = configs;
+    currentConfigs = configs;
     
     // Determine best machine based on expected value
-    determineBestMachine();
+    determineBestMachine(configs);
+    
+    // Every series starts at 0 before the first pull
+    payoutSeries = [new SeriesBuffer(), new SeriesBuffer(), new SeriesBuffer()];
+    payoutSeries.forEach(series => series.push(0));
     
     const ctx = document.getElementById('chart').getContext('2d');
     
@@ -46,7 +74,7 @@ function initializeChart(configs) {
     const datasets = [
         {
             label: 'Your Total Payout',
-            data: [0],
+            data: [{ x: 0, y: 0 }],
             borderColor: YOUR_COLOR,
             backgroundColor: `${YOUR_COLOR}20`, // 20 is hex for 12% opacity
             fill: false,
@@ -54,8 +82,8 @@ function initializeChart(configs) {
             tension: 0.1
         },
         {
-            label: 'Optimal Strategy Total',
-            data: [0],
+            label: `Optimal Strategy Total (${getBenchmarkLabel()})`,
+            data: [{ x: 0, y: 0 }],
             borderColor: OPTIMAL_COLOR,
             backgroundColor: `${OPTIMAL_COLOR}20`,
             fill: false,
@@ -65,7 +93,7 @@ function initializeChart(configs) {
         },
         {
             label: 'Best Possible Total',
-            data: [0],
+            data: [{ x: 0, y: 0 }],
             borderColor: BEST_COLOR,
             backgroundColor: `${BEST_COLOR}20`,
             fill: false,
@@ -78,15 +106,20 @@ function initializeChart(configs) {
     // Create the chart with explicit options to ensure colors are applied
     payoutChart = new Chart(ctx, {
         type: 'line',
+        plugins: [swapLinesPlugin],
         data: {
-            labels: [0], // Start with pull 0
             datasets: datasets
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            // Points are already {x, y} pairs, downsampled from the full history
+            parsing: false,
+            normalized: true,
             scales: {
                 x: {
+                    type: 'linear',
+                    min: 0,
                     title: {
                         display: true,
                         text: 'Number of Pulls'
@@ -111,6 +144,9 @@ function initializeChart(configs) {
                     mode: 'index',
                     intersect: false
                 },
+                zoom: createZoomOptions(renderChart),
+                // Hard-mode swaps, filled in when the game ends
+                swapLines: { pulls: [] },
                 legend: {
                     display: true,
                     position: 'top',
@@ -130,190 +166,181 @@ function initializeChart(configs) {
                     tension: 0.4 // Smooth curves
                 },
                 point: {
-                    radius: 2, // Smaller points
+                    // Smaller points, hidden once the line is dense
+                    radius: context => context.dataset.data.length > 200 ? 0 : 2,
                     hoverRadius: 5 // Larger on hover
                 }
             }
         }
     });
     
-    // Initialize optimization strategies with all machines
-    window.optimalMachineEstimates = configs.map(config => ({
-        id: config.id,
-        pulls: 0,
-        totalPayout: 0,
-        mean: 0,
-        ucb: Infinity
-    }));
+    updateEstimatesTable(getOptimalEstimates());
 }
 
-// Function to determine the best machine based on expected value
-function determineBestMachine() {
-    let highestEV = -Infinity;
-    
-    machineConfigs.forEach((config, index) => {
-        let ev = 0;
-        switch(config.distribution) {
-            case 'normal':
-                ev = config.parameters[0]; // Mean
-                break;
-            case 'uniform':
-                ev = (config.parameters[0] + config.parameters[1]) / 2; // (min + max) / 2
-                break;
-            case 'exponential':
-                ev = 1 / config.parameters[0]; // 1 / rate
-                break;
-            case 'poisson':
-                ev = config.parameters[0]; // lambda
-                break;
-            case 'chi-squared':
-                ev = config.parameters[0]; // degrees of freedom
-                break;
-            case 'bernoulli':
-                ev = config.parameters[0]; // p (directly the success probability)
-                break;
-        }
-        
-        if (ev > highestEV) {
-            highestEV = ev;
-            bestMachineIndex = index;
-            bestMachineEV = ev; // Store the expected value
-        }
-    });
-    
-    console.log(`Best machine determined to be Machine ${bestMachineIndex + 1} with EV ${bestMachineEV}`);
+// Function to determine the best machine based on expected value, for the
+// machines in play and the round's drift offsets (hard-mode swaps and drift
+// change which one it is)
+function determineBestMachine(configs, offsets = null) {
+    const means = getTrueMeans(configs, offsets);
+    bestMachineIndex = findBestMeanIndex(means);
+    bestMachineEV = bestMachineIndex === -1 ? 0 : means[bestMachineIndex];
+}
+
+// Function to get the machine with the highest true mean right now (-1 before a game)
+function getBestMachineIndex() {
+    return bestMachineIndex;
 }
 
-// Function to update the chart after each lever pull
-function updateChart(pulledMachineId, actualPayout, optimalMachineId) {
+// Function to update the chart after each lever pull (a 'pull' record from the game state).
+// roundRewards holds every machine's reward this round (from the reward table),
+// so the benchmark and the best possible line see the same payouts as the player.
+function updateChart(record) {
     if (!payoutChart || bestMachineIndex === -1) return;
     
-    // Limit the number of data points to prevent the chart from becoming too large
-    const maxDataPoints = 100;
-    
-    // Update labels (number of pulls)
-    payoutChart.data.labels.push(totalPulls);
+    const { roundRewards, offsets, benchmark } = record;
     
-    // Keep only the last maxDataPoints
-    if (payoutChart.data.labels.length > maxDataPoints) {
-        payoutChart.data.labels = payoutChart.data.labels.slice(-maxDataPoints);
-    }
+    // Drift can change which machine is best from one pull to the next
+    determineBestMachine(currentConfigs, offsets);
     
-    // Calculate total user payout across all machines
-    const userTotalPayout = getTotalUserPayout();
+    // The benchmark played the same round
+    optimalStrategyTotalPayout += benchmark.payout;
     
-    // Update Your Total Payout dataset (index 0)
-    payoutChart.data.datasets[0].data.push(userTotalPayout);
-    
-    // Keep only the last maxDataPoints
-    if (payoutChart.data.datasets[0].data.length > maxDataPoints) {
-        payoutChart.data.datasets[0].data = payoutChart.data.datasets[0].data.slice(-maxDataPoints);
-    }
+    // Find the best possible payout from all machines for this round (the round's
+    // rewards already come from the machines in play, swapped or not)
+    bestPossibleTotalPayout += Math.max(...roundRewards);
     
-    // Generate payouts for all machines in this round to ensure consistency
-    // This will be used for both optimal strategy and best possible calculations
-    const roundPayouts = generateConsistentRoundPayouts(pulledMachineId, actualPayout);
-    
-    // Update optimal strategy using the consistent payouts
-    const optimalPayout = roundPayouts[optimalMachineId];
-    optimalStrategyTotalPayout += optimalPayout;
-    payoutChart.data.datasets[1].data.push(optimalStrategyTotalPayout);
-    
-    // Update UCB estimates for optimal strategy
-    updateOptimalStrategyEstimates(optimalMachineId, optimalPayout);
-    
-    // Keep only the last maxDataPoints
-    if (payoutChart.data.datasets[1].data.length > maxDataPoints) {
-        payoutChart.data.datasets[1].data = payoutChart.data.datasets[1].data.slice(-maxDataPoints);
-    }
+    // Keep the whole history; only the part in view is drawn
+    payoutSeries[0].push(getTotalPayout());
+    payoutSeries[1].push(optimalStrategyTotalPayout);
+    payoutSeries[2].push(bestPossibleTotalPayout);
     
-    // Find the best possible payout from all machines for this round
-    const bestPossiblePayout = Math.max(...Object.values(roundPayouts));
-    bestPossibleTotalPayout += bestPossiblePayout;
-    payoutChart.data.datasets[2].data.push(bestPossibleTotalPayout);
-    
-    // Keep only the last maxDataPoints
-    if (payoutChart.data.datasets[2].data.length > maxDataPoints) {
-        payoutChart.data.datasets[2].data = payoutChart.data.datasets[2].data.slice(-maxDataPoints);
-    }
-    
-    // Update the chart
-    payoutChart.update();
-    
-    // Log current state for debugging
-    console.log(`Pull ${totalPulls}: Your=${userTotalPayout.toFixed(2)}, Optimal=${optimalStrategyTotalPayout.toFixed(2)}, Best Possible=${bestPossibleTotalPayout.toFixed(2)}`);
-    console.log(`Round payouts:`, roundPayouts);
+    scheduleRender();
 }
 
-// Helper function to generate consistent payouts for all machines in a single round
-function generateConsistentRoundPayouts(pulledMachineId, actualPayout) {
-    const roundPayouts = {};
+// Function to draw the pulls in view, downsampled to the chart's width
+function renderChart() {
+    if (!payoutChart) return;
     
-    // Use the same seed for all machines in this round to ensure consistency
-    const roundSeed = totalPulls;
+    const { pulls, points } = buildVisiblePoints(payoutChart, payoutSeries);
+    points.forEach((data, i) => {
+        payoutChart.data.datasets[i].data = data;
+    });
     
-    // For each machine, either use the actual result if it was pulled, or generate a consistent one
-    machineConfigs.forEach(machine => {
-        if (machine.id === parseInt(pulledMachineId)) {
-            // Use the actual payout for the machine that was pulled
-            roundPayouts[machine.id] = actualPayout;
-        } else {
-            // Generate a deterministic payout based on the round number and machine ID
-            // Use a simple hash function to generate a "random" but consistent value
-            const hash = (roundSeed * 9301 + machine.id * 49297) % 233280;
-            const randomValue = hash / 233280;
-            
-            // Use this deterministic random value to sample from the distribution
-            let payout;
-            switch(machine.distribution) {
-                case 'bernoulli':
-                    payout = randomValue < machine.parameters[0] ? 1 : 0;
-                    break;
-                case 'normal':
-                    // Simplified normal approximation using the deterministic random value
-                    const u1 = randomValue;
-                    const u2 = (hash * 7919) % 233280 / 233280; // Another "random" value
-                    const z = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
-                    payout = machine.parameters[0] + machine.parameters[1] * z;
-                    break;
-                // Add cases for other distributions as needed
-                default:
-                    // For other distributions, use the Distributions module with a fixed seed
-                    payout = Distributions.sample(machine.distribution, machine.parameters);
-            }
-            roundPayouts[machine.id] = payout;
-        }
+    // Simulated averages are drawn at the same pulls
+    simulatedCurves.forEach((curve, i) => {
+        payoutChart.data.datasets[3 + i].data = pulls.map(pull => ({
+            x: pull,
+            y: valueAtPull(curve.checkpoints, curve.values, pull)
+        }));
     });
     
-    return roundPayouts;
+    updateZoomLimits(payoutChart, payoutSeries[0].length);
+    payoutChart.update('none');
 }
 
-// Helper function to update optimal strategy estimates
-function updateOptimalStrategyEstimates(optimalMachineId, payout) {
-    if (!window.optimalMachineEstimates) return;
+const scheduleRender = createRenderScheduler(renderChart);
+
+// Function to zoom back out to the whole history
+function fitPayoutChart() {
+    fitAll(payoutChart);
+    renderChart();
+}
+
+// Function to overlay the mean total payout of simulated strategies (from the
+// experiment panel) when they were run on the machines currently in play
+function showSimulatedPayouts(results, configs) {
+    if (!payoutChart || JSON.stringify(configs) !== JSON.stringify(machineConfigs)) return;
     
-    // Update estimates for the selected machine
-    const machineEstimate = window.optimalMachineEstimates.find(m => m.id === optimalMachineId);
-    if (!machineEstimate) return;
+    simulatedCurves = results.strategies.map(strategy => ({
+        label: `${strategy.label} (simulated mean of ${results.episodes})`,
+        checkpoints: results.checkpoints,
+        values: strategy.reward.mean
+    }));
     
-    machineEstimate.pulls++;
-    machineEstimate.totalPayout += payout;
-    machineEstimate.mean = machineEstimate.totalPayout / machineEstimate.pulls;
+    payoutChart.data.datasets = payoutChart.data.datasets.slice(0, 3).concat(
+        simulatedCurves.map((curve, i) => ({
+            label: curve.label,
+            data: [],
+            borderColor: SIMULATED_COLORS[i % SIMULATED_COLORS.length],
+            fill: false,
+            borderDash: [2, 3],
+            borderWidth: 1.5,
+            pointRadius: 0,
+            tension: 0.1
+        }))
+    );
+    renderChart();
 }
 
-// Helper function to get total payout across all machines
-function getTotalUserPayout() {
-    let total = 0;
+let latestEstimates = [];
+const scheduleEstimatesTable = createRenderScheduler(() => updateEstimatesTable(latestEstimates));
+
+// Helper function to show the benchmark strategy's internal estimates
+function updateEstimatesTable(estimates) {
+    const container = document.getElementById('benchmark-estimates');
+    if (!container) return;
     
-    // Sum all machine payouts
-    for (const machineId in machineData) {
-        if (machineData.hasOwnProperty(machineId)) {
-            total += machineData[machineId].totalPayout;
-        }
+    if (estimates.length === 0) {
+        container.innerHTML = '';
+        return;
     }
     
-    return total;
+    // Strategy-specific columns (e.g. the UCB index) come from the estimates themselves
+    const detailNames = Object.keys(estimates[0].details);
+    const formatValue = value => {
+        if (typeof value === 'string') return value;
+        return Number.isFinite(value) ? value.toFixed(3) : (value > 0 ? '∞' : '–');
+    };
+    
+    container.innerHTML = `
+        <table class="estimates-table">
+            <thead>
+                <tr>
+                    <th>Machine</th>
+                    <th>Pulls</th>
+                    <th>Mean</th>
+                    ${detailNames.map(name => `<th>${name}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${estimates.map(estimate => `
+                    <tr>
+                        <td>${estimate.arm + 1}</td>
+                        <td>${estimate.pulls}</td>
+                        <td>${formatValue(estimate.mean)}</td>
+                        ${detailNames.map(name => `<td>${formatValue(estimate.details[name])}</td>`).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
 }
 
+// The chart follows the game state
+subscribe(GameEvents.RESET, resetChart);
+subscribe(GameEvents.MACHINES_GENERATED, ({ configs }) => initializeChart(configs));
+subscribe(GameEvents.PULL, updateChart);
+subscribe(GameEvents.PERMUTATION, ({ after }) => {
+    currentConfigs = after;
+    determineBestMachine(after);
+});
+// Swaps stay secret until the game is over
+subscribe(GameEvents.GAME_ENDED, () => {
+    showSwapLines(payoutChart, getPermutationHistory());
+    scheduleRender();
+});
+subscribe(GameEvents.STRATEGY_STEP, step => {
+    // Only the latest estimates are shown, so redraw the table at most once a frame
+    latestEstimates = step.estimates;
+    scheduleEstimatesTable();
+});
+
 // Export the chart functions
-export { initializeChart, updateChart, resetChart };
\ No newline at end of file
+export {
+    initializeChart,
+    updateChart,
+    resetChart,
+    fitPayoutChart,
+    showSimulatedPayouts,
+    getBestMachineIndex
+};
\ No newline at end of file
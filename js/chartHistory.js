@@ -0,0 +1,222 @@
+// Full-history chart data shared by the payout and regret charts
+//
+// Every pull's value is kept in a growable series; only the part of the history
+// in view is handed to Chart.js, downsampled with Largest-Triangle-Three-Buckets
+// (LTTB) to about one point per pixel. That keeps long sessions (100k+ pulls)
+// responsive while the early exploration phase stays in the chart.
+
+// Upper limit on the points drawn per line, whatever the chart width
+const MAX_POINTS = 2000;
+
+// Growable list of numbers, one per pull starting at pull 0.
+// NaN marks a value that can't be plotted (left as a gap).
+class SeriesBuffer {
+    constructor(capacity = 1024) {
+        this.values = new Float64Array(capacity);
+        this.length = 0;
+    }
+    
+    push(value) {
+        if (this.length === this.values.length) {
+            const grown = new Float64Array(this.values.length * 2);
+            grown.set(this.values);
+            this.values = grown;
+        }
+        this.values[this.length++] = value === null ? NaN : value;
+    }
+    
+    get(index) {
+        return this.values[index];
+    }
+}
+
+// Function to pick at most `threshold` indices in [start, end] that preserve the
+// shape of the series (LTTB). The first and last index are always kept. Values
+// that are NaN never win a bucket unless the whole bucket is NaN.
+function lttbIndices(values, start, end, threshold) {
+    const count = end - start + 1;
+    if (count <= threshold || threshold < 3) {
+        return Array.from({ length: count }, (_, i) => start + i);
+    }
+    
+    const indices = [start];
+    const bucketSize = (count - 2) / (threshold - 2);
+    let previous = start;
+    
+    for (let bucket = 0; bucket < threshold - 2; bucket++) {
+        const bucketStart = start + 1 + Math.floor(bucket * bucketSize);
+        const bucketEnd = Math.min(start + 1 + Math.floor((bucket + 1) * bucketSize), end);
+        
+        // Average of the next bucket (the last point for the final bucket)
+        const nextStart = bucketEnd;
+        const nextEnd = Math.min(start + 1 + Math.floor((bucket + 2) * bucketSize), end + 1);
+        let averageX = 0;
+        let averageY = 0;
+        let finite = 0;
+        for (let i = nextStart; i < nextEnd; i++) {
+            if (Number.isFinite(values[i])) {
+                averageX += i;
+                averageY += values[i];
+                finite++;
+            }
+        }
+        averageX = finite > 0 ? averageX / finite : nextStart;
+        averageY = finite > 0 ? averageY / finite : 0;
+        
+        // Keep the point forming the largest triangle with the previous kept point
+        const previousY = Number.isFinite(values[previous]) ? values[previous] : averageY;
+        let chosen = bucketStart;
+        let largestArea = -1;
+        for (let i = bucketStart; i < bucketEnd; i++) {
+            const area = Math.abs((previous - averageX) * (values[i] - previousY) -
+                (previous - i) * (averageY - previousY));
+            if (area > largestArea) {
+                largestArea = area;
+                chosen = i;
+            }
+        }
+        
+        indices.push(chosen);
+        previous = chosen;
+    }
+    
+    indices.push(end);
+    return indices;
+}
+
+// Function to get the pulls in view: the zoomed range, or the whole history
+function visibleRange(chart, length) {
+    const last = Math.max(0, length - 1);
+    if (!chart.isZoomedOrPanned || !chart.isZoomedOrPanned()) {
+        return [0, last];
+    }
+    
+    // One extra pull on each side so the lines run to the edges of the chart
+    const start = Math.max(0, Math.floor(chart.scales.x.min) - 1);
+    const end = Math.min(last, Math.ceil(chart.scales.x.max) + 1);
+    return start <= end ? [start, end] : [0, last];
+}
+
+// Function to build the {x, y} points of every series for the pulls in view.
+// The indices are chosen on the first series and shared by the others so the
+// tooltip lines the values up at the same pull.
+function buildVisiblePoints(chart, seriesList) {
+    const length = seriesList[0].length;
+    const [start, end] = visibleRange(chart, length);
+    const threshold = Math.min(MAX_POINTS, Math.max(100, Math.round(chart.width || 0)));
+    const indices = lttbIndices(seriesList[0].values, start, end, threshold);
+    
+    return {
+        pulls: indices,
+        points: seriesList.map(series => indices.map(index => {
+            const value = series.get(index);
+            return { x: index, y: Number.isFinite(value) ? value : null };
+        }))
+    };
+}
+
+// Function to create zoom/pan settings (chartjs-plugin-zoom) that call onChange
+// after every zoom or pan, so the visible range can be downsampled again
+function createZoomOptions(onChange) {
+    return {
+        limits: {
+            x: { min: 0, max: 0, minRange: 10 }
+        },
+        pan: {
+            enabled: true,
+            mode: 'x',
+            onPanComplete: onChange
+        },
+        zoom: {
+            wheel: { enabled: true },
+            pinch: { enabled: true },
+            drag: { enabled: false },
+            mode: 'x',
+            onZoomComplete: onChange
+        }
+    };
+}
+
+// Function to let the zoom limits follow the history as it grows
+function updateZoomLimits(chart, length) {
+    const zoom = chart.options.plugins.zoom;
+    if (zoom) {
+        zoom.limits.x.max = Math.max(1, length - 1);
+    }
+}
+
+// Function to show the whole history again
+function fitAll(chart) {
+    if (chart && chart.resetZoom) {
+        chart.resetZoom('none');
+    }
+}
+
+// Chart.js plugin that draws a dashed vertical line at each pull listed in
+// options.plugins.swapLines.pulls (hard-mode swaps, once the game is over)
+const swapLinesPlugin = {
+    id: 'swapLines',
+    defaults: {
+        pulls: [],
+        color: '#d32f2f'
+    },
+    afterDatasetsDraw(chart, args, options) {
+        const { ctx, chartArea, scales } = chart;
+        if (!options.pulls || options.pulls.length === 0) return;
+        
+        ctx.save();
+        ctx.strokeStyle = options.color;
+        ctx.fillStyle = options.color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        options.pulls.forEach(pull => {
+            const x = scales.x.getPixelForValue(pull);
+            if (x < chartArea.left || x > chartArea.right) return;
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            ctx.fillText('swap', x, chartArea.top + 10);
+        });
+        ctx.restore();
+    }
+};
+
+// Function to mark hard-mode swaps on a chart (each applies from the pull after `pull`)
+function showSwapLines(chart, permutations) {
+    if (chart) {
+        chart.options.plugins.swapLines.pulls = permutations.map(permutation => permutation.pull);
+    }
+}
+
+// Function to coalesce renders to one per animation frame (many pulls can arrive
+// at once, e.g. when a session is loaded or replayed)
+function createRenderScheduler(render) {
+    let pending = false;
+    const schedule = typeof requestAnimationFrame === 'function'
+        ? requestAnimationFrame
+        : callback => setTimeout(callback, 0);
+    
+    return () => {
+        if (pending) return;
+        pending = true;
+        schedule(() => {
+            pending = false;
+            render();
+        });
+    };
+}
+
+export {
+    SeriesBuffer,
+    lttbIndices,
+    buildVisiblePoints,
+    createZoomOptions,
+    updateZoomLimits,
+    fitAll,
+    swapLinesPlugin,
+    showSwapLines,
+    createRenderScheduler
+};
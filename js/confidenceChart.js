@@ -0,0 +1,338 @@
+// Confidence intervals for each machine's mean payout, drawn with D3
+//
+// For your pulls (or the benchmark's), each machine gets its running mean with
+// an interval around it: a Student-t or bootstrap confidence interval, or a
+// Bayesian credible interval from the same posteriors Thompson sampling uses.
+// An upper confidence bound is marked too: for the benchmark's pulls, the index
+// a UCB-style benchmark is actually using; otherwise a UCB1 reference bound
+// computed from the pulls shown. Machines whose interval
+// reaches the leader's are still plausibly the best, which is why exploring
+// them can still pay off. Posteriors only use what the player may know: in play
+// mode every machine gets a normal model, and while hard-mode swaps are secret
+// each machine keeps the reward family it started with.
+import { DistributionRegistry, getRewardFamily } from './distributions.js';
+import { StrategyRegistry, createPosterior } from './strategies.js';
+import { createRng } from './random.js';
+import {
+    GameEvents,
+    subscribe,
+    getOriginalConfigs,
+    getCurrentConfigs,
+    getPullHistory,
+    isGameEnded
+} from './gameState.js';
+import { getActiveBenchmarkId, getOptimalEstimates } from './optimalStrategy.js';
+import { createRenderScheduler } from './chartHistory.js';
+
+const ROW_HEIGHT = 36;
+const WIDTH = 760;
+const MARGIN = { top: 24, right: 20, bottom: 30, left: 140 };
+
+const BOOTSTRAP_RESAMPLES = 500;
+// Above this many payouts per resampling run the bootstrap is replaced by the t interval
+const MAX_BOOTSTRAP_WORK = 2e6;
+const POSTERIOR_SAMPLES = 1000;
+// Same prior settings as the Thompson sampling benchmark
+const POSTERIOR_OPTIONS = { replicates: 100 };
+
+const PLAUSIBLE_COLOR = '#21918c';
+const RULED_OUT_COLOR = '#bbbbbb';
+const MEAN_COLOR = '#440154';
+const UCB_COLOR = '#d32f2f';
+
+// Payouts per machine id from the pull history, for the player or the benchmark
+function collectPayouts(configs, source) {
+    const payouts = configs.map(() => []);
+    getPullHistory().forEach(record => {
+        const move = source === 'benchmark' ? record.benchmark : record;
+        payouts[move.machineId].push(move.payout);
+    });
+    return payouts;
+}
+
+function quantile(sorted, p) {
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))));
+    return sorted[index];
+}
+
+// Student-t interval for the mean (needs at least two payouts)
+function tInterval(payouts, mean, level) {
+    const n = payouts.length;
+    if (n < 2) return null;
+    const variance = payouts.reduce((sum, payout) => sum + (payout - mean) ** 2, 0) / (n - 1);
+    const t = DistributionRegistry['student-t'].quantile(1 - (1 - level) / 2, [0, 1, n - 1]);
+    const halfWidth = t * Math.sqrt(variance / n);
+    return { lower: mean - halfWidth, upper: mean + halfWidth, note: '' };
+}
+
+// Percentile bootstrap interval for the mean, seeded so it doesn't flicker between redraws
+function bootstrapInterval(payouts, mean, level, machineId) {
+    const n = payouts.length;
+    if (n < 2) return null;
+    if (n * BOOTSTRAP_RESAMPLES > MAX_BOOTSTRAP_WORK) {
+        return { ...tInterval(payouts, mean, level), note: 't approximation' };
+    }
+    
+    const rng = createRng(`confidence:${machineId}:${n}`);
+    const means = [];
+    for (let b = 0; b < BOOTSTRAP_RESAMPLES; b++) {
+        let sum = 0;
+        for (let i = 0; i < n; i++) {
+            sum += payouts[Math.floor(rng() * n)];
+        }
+        means.push(sum / n);
+    }
+    means.sort((a, b) => a - b);
+    return { lower: quantile(means, (1 - level) / 2), upper: quantile(means, 1 - (1 - level) / 2), note: '' };
+}
+
+// Credible interval from the posterior Thompson sampling would hold for a machine
+// of the given reward family
+function posteriorInterval(payouts, level, family, machineId) {
+    const rng = createRng(`posterior:${machineId}:${payouts.length}`);
+    let posterior = createPosterior(family, POSTERIOR_OPTIONS);
+    // Payouts outside the family (e.g. after a hard-mode swap) fall back to a normal model
+    if (!payouts.every(payout => posterior.fits(payout))) {
+        posterior = createPosterior('gaussian', POSTERIOR_OPTIONS);
+    }
+    payouts.forEach(payout => posterior.update(payout, rng));
+    
+    const samples = [];
+    for (let i = 0; i < POSTERIOR_SAMPLES; i++) {
+        samples.push(posterior.sample(rng));
+    }
+    samples.sort((a, b) => a - b);
+    return {
+        lower: quantile(samples, (1 - level) / 2),
+        upper: quantile(samples, 1 - (1 - level) / 2),
+        note: posterior.describe()
+    };
+}
+
+// Function to compute every machine's mean, interval and UCB1 reference bound.
+// Posteriors use `families` (reward family by machine id), the configs' own by default.
+function computeIntervals(configs, payoutsByMachine, method, level, families = configs.map(getRewardFamily)) {
+    const totalPulls = payoutsByMachine.reduce((sum, payouts) => sum + payouts.length, 0);
+    
+    return configs.map(config => {
+        const payouts = payoutsByMachine[config.id];
+        const n = payouts.length;
+        if (n === 0) {
+            return { machineId: config.id, n, mean: NaN, interval: null, ucb: Infinity };
+        }
+        
+        const mean = payouts.reduce((sum, payout) => sum + payout, 0) / n;
+        let interval;
+        if (method === 'posterior') {
+            interval = posteriorInterval(payouts, level, families[config.id], config.id);
+        } else if (method === 'bootstrap') {
+            interval = bootstrapInterval(payouts, mean, level, config.id);
+        } else {
+            interval = tInterval(payouts, mean, level);
+        }
+        
+        return {
+            machineId: config.id,
+            n,
+            mean,
+            interval,
+            // UCB1 as the benchmark computes it: sample mean plus sqrt(2 ln(t + 1) / n)
+            ucb: mean + Math.sqrt(2 * Math.log(totalPulls + 1) / n)
+        };
+    });
+}
+
+// The benchmark's own upper bound per machine, or null if it isn't an index
+// (UCB-style) strategy
+function benchmarkUpperBounds() {
+    const estimates = getOptimalEstimates();
+    if (estimates.length === 0 || !estimates.every(estimate => 'Upper bound' in estimate.details)) {
+        return null;
+    }
+    return estimates.map(estimate => estimate.details['Upper bound']);
+}
+
+// Machines whose interval reaches the lower end of the leader's are still plausibly best
+function markPlausible(rows) {
+    const withIntervals = rows.filter(row => row.interval);
+    if (withIntervals.length === 0) return;
+    
+    const leader = withIntervals.reduce((best, row) => (row.mean > best.mean ? row : best));
+    rows.forEach(row => {
+        row.plausible = !row.interval || row.interval.upper >= leader.interval.lower;
+    });
+}
+
+function readOptions() {
+    return {
+        source: document.getElementById('confidence-source').value,
+        method: document.getElementById('confidence-method').value,
+        level: parseFloat(document.getElementById('confidence-level').value)
+    };
+}
+
+function isDistributionHidden() {
+    const container = document.getElementById('machines-container');
+    return Boolean(container) && container.classList.contains('distributions-hidden');
+}
+
+// Reward family of each machine as far as the player knows it
+function knownRewardFamilies(configs) {
+    if (isDistributionHidden()) {
+        return configs.map(() => 'gaussian');
+    }
+    return (isGameEnded() ? configs : getOriginalConfigs()).map(getRewardFamily);
+}
+
+function isVisible() {
+    const container = document.getElementById('confidence-container');
+    return Boolean(container) && !container.classList.contains('hidden');
+}
+
+// Function to draw the interval chart for the game in progress
+function renderConfidenceChart() {
+    const container = document.getElementById('confidence-chart');
+    if (!container || !isVisible() || typeof d3 === 'undefined') return;
+    
+    container.innerHTML = '';
+    const configs = getCurrentConfigs();
+    if (configs.length === 0) {
+        container.innerHTML = '<p class="seed-info">Generate some slot machines to see their intervals.</p>';
+        return;
+    }
+    
+    const { source, method, level } = readOptions();
+    const families = knownRewardFamilies(configs);
+    const rows = computeIntervals(configs, collectPayouts(configs, source), method, level, families);
+    markPlausible(rows);
+    
+    // A UCB-style benchmark's bounds come from its own state
+    const upperBounds = source === 'benchmark' ? benchmarkUpperBounds() : null;
+    if (upperBounds) {
+        rows.forEach(row => {
+            row.ucb = upperBounds[row.machineId];
+        });
+    }
+    const boundLabel = upperBounds
+        ? `${StrategyRegistry[getActiveBenchmarkId()].label} upper bound`
+        : 'UCB1 reference bound';
+    
+    // Fit every finite mean, interval end and upper bound
+    const values = rows.flatMap(row => [row.mean, row.ucb, ...(row.interval ? [row.interval.lower, row.interval.upper] : [])])
+        .filter(Number.isFinite);
+    if (values.length === 0) {
+        container.innerHTML = '<p class="seed-info">Pull some levers to see the intervals.</p>';
+        return;
+    }
+    let [low, high] = d3.extent(values);
+    if (low === high) {
+        low -= 1;
+        high += 1;
+    }
+    
+    const height = rows.length * ROW_HEIGHT;
+    const width = WIDTH - MARGIN.left - MARGIN.right;
+    const svg = d3.select(container).append('svg')
+        .attr('viewBox', `0 0 ${WIDTH} ${height + MARGIN.top + MARGIN.bottom}`)
+        .attr('class', 'confidence-chart');
+    const plot = svg.append('g').attr('transform', `translate(${MARGIN.left},${MARGIN.top})`);
+    
+    const x = d3.scaleLinear().domain([low, high]).nice().range([0, width]);
+    const y = d3.scaleBand().domain(rows.map(row => row.machineId)).range([0, height]).padding(0.3);
+    const middle = row => y(row.machineId) + y.bandwidth() / 2;
+    
+    plot.append('g')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x).ticks(8).tickFormat(d3.format('~g')));
+    plot.append('g')
+        .call(d3.axisLeft(y).tickFormat(id => {
+            const row = rows.find(r => r.machineId === id);
+            return `Machine ${id + 1} (n=${row.n})`;
+        }));
+    
+    const rowGroups = plot.selectAll('.confidence-row')
+        .data(rows)
+        .join('g')
+        .attr('class', 'confidence-row');
+    
+    rowGroups.filter(row => row.interval)
+        .append('line')
+        .attr('x1', row => x(row.interval.lower))
+        .attr('x2', row => x(row.interval.upper))
+        .attr('y1', middle)
+        .attr('y2', middle)
+        .attr('stroke', row => (row.plausible ? PLAUSIBLE_COLOR : RULED_OUT_COLOR))
+        .attr('stroke-width', 8)
+        .attr('stroke-linecap', 'round')
+        .append('title')
+        .text(row => `${(level * 100).toFixed(0)}% interval: ${row.interval.lower.toFixed(3)} to ${row.interval.upper.toFixed(3)}` +
+            (row.interval.note ? ` (${row.interval.note})` : ''));
+    
+    rowGroups.filter(row => Number.isFinite(row.mean))
+        .append('circle')
+        .attr('cx', row => x(row.mean))
+        .attr('cy', middle)
+        .attr('r', 4)
+        .attr('fill', MEAN_COLOR)
+        .append('title')
+        .text(row => `Mean payout ${row.mean.toFixed(3)}`);
+    
+    rowGroups.filter(row => Number.isFinite(row.ucb))
+        .append('line')
+        .attr('x1', row => x(row.ucb))
+        .attr('x2', row => x(row.ucb))
+        .attr('y1', row => y(row.machineId))
+        .attr('y2', row => y(row.machineId) + y.bandwidth())
+        .attr('stroke', UCB_COLOR)
+        .attr('stroke-width', 2)
+        .append('title')
+        .text(row => `${boundLabel} ${row.ucb.toFixed(3)}`);
+    
+    rowGroups.filter(row => !row.interval)
+        .append('text')
+        .attr('x', 4)
+        .attr('y', row => middle(row) + 4)
+        .attr('class', 'confidence-note')
+        .text(row => (row.n === 0 ? 'Not pulled yet (upper bound is infinite)' : 'Needs two pulls for an interval'));
+    
+    // Legend
+    const legend = svg.append('g').attr('transform', `translate(${MARGIN.left},14)`).attr('class', 'confidence-note');
+    [
+        { color: PLAUSIBLE_COLOR, text: 'Could still be the best' },
+        { color: RULED_OUT_COLOR, text: 'Interval below the leader\'s' },
+        { color: MEAN_COLOR, text: 'Mean' },
+        { color: UCB_COLOR, text: boundLabel }
+    ].forEach((item, i) => {
+        const entry = legend.append('g').attr('transform', `translate(${i * 150},0)`);
+        entry.append('rect').attr('y', -8).attr('width', 10).attr('height', 10).attr('fill', item.color);
+        entry.append('text').attr('x', 14).text(item.text);
+    });
+}
+
+const scheduleRender = createRenderScheduler(renderConfidenceChart);
+
+// Function to set up the toggle and option controls
+function initializeConfidenceChart() {
+    const toggleButton = document.getElementById('toggle-confidence-chart');
+    const container = document.getElementById('confidence-container');
+    if (!toggleButton || !container) return;
+    
+    toggleButton.addEventListener('click', function() {
+        container.classList.toggle('hidden');
+        this.textContent = container.classList.contains('hidden')
+            ? 'Show Confidence Intervals'
+            : 'Hide Confidence Intervals';
+        scheduleRender();
+    });
+    
+    ['confidence-source', 'confidence-method', 'confidence-level'].forEach(id => {
+        document.getElementById(id).addEventListener('change', scheduleRender);
+    });
+}
+
+// The intervals follow the game state
+subscribe(GameEvents.MACHINES_GENERATED, scheduleRender);
+subscribe(GameEvents.PULL, scheduleRender);
+subscribe(GameEvents.GAME_ENDED, scheduleRender);
+
+export { initializeConfidenceChart, computeIntervals };
@@ -0,0 +1,24 @@
+// CSV formatting shared by the command-line simulator and the browser exports
+
+// Quote a value if it contains a separator, quote or line break
+function formatCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number' && Number.isNaN(value)) return '';
+    
+    const text = String(value);
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+// Function to turn a list of row objects into CSV text with the given column order
+function toCsv(rows, columns) {
+    const lines = [columns.map(formatCsvValue).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => formatCsvValue(row[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+export { formatCsvValue, toCsv };
@@ -1,70 +1,848 @@
 // Distribution utility functions
+import { random } from './random.js';
+import {
+    logGamma,
+    regularizedGammaP,
+    regularizedBeta,
+    xLogY,
+    normalCdf,
+    normalQuantile,
+    invertCdf,
+    invertDiscreteCdf
+} from './mathUtils.js';
 
+// Every sampler takes an optional rng (defaults to the shared seeded stream)
 const Distributions = {
     // Box-Muller transform for normal distribution
-    normal: function(mean, stdDev) {
+    normal: function(mean, stdDev, rng = random) {
         let u = 0, v = 0;
-        while(u === 0) u = Math.random();
-        while(v === 0) v = Math.random();
+        while(u === 0) u = rng();
+        while(v === 0) v = rng();
         const z = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
         return mean + stdDev * z;
     },
     
-    uniform: function(min, max) {
-        return min + Math.random() * (max - min);
+    uniform: function(min, max, rng = random) {
+        return min + rng() * (max - min);
     },
     
-    chiSquared: function(degreesOfFreedom) {
-        let result = 0;
-        for (let i = 0; i < degreesOfFreedom; i++) {
-            // Sum of squares of standard normal variates
-            const z = this.normal(0, 1);
-            result += z * z;
-        }
-        return result;
+    // Chi-squared(df) is Gamma(df / 2, scale 2), so this is O(1) in df
+    chiSquared: function(degreesOfFreedom, rng = random) {
+        return this.gamma(degreesOfFreedom / 2, 2, rng);
     },
     
-    exponential: function(rate) {
-        return -Math.log(1 - Math.random()) / rate;
+    exponential: function(rate, rng = random) {
+        return -Math.log(1 - rng()) / rate;
     },
     
-    poisson: function(lambda) {
+    poisson: function(lambda, rng = random) {
+        // Knuth's multiplication method is O(lambda) and exp(-lambda) underflows
+        // for large lambda, so only use it for small rates
+        if (lambda >= 10) {
+            return this.poissonPTRS(lambda, rng);
+        }
+        
         const L = Math.exp(-lambda);
         let k = 0;
         let p = 1;
         
         do {
             k++;
-            p *= Math.random();
+            p *= rng();
         } while (p > L);
         
         return k - 1;
     },
     
-    bernoulli: function(p) {
+    // Hörmann's transformed rejection with squeeze (PTRS), for lambda >= 10
+    poissonPTRS: function(lambda, rng = random) {
+        const logLambda = Math.log(lambda);
+        const b = 0.931 + 2.53 * Math.sqrt(lambda);
+        const a = -0.059 + 0.02483 * b;
+        const invAlpha = 1.1239 + 1.1328 / (b - 3.4);
+        const vr = 0.9277 - 3.6224 / (b - 2);
+        
+        while (true) {
+            const u = rng() - 0.5;
+            const v = rng();
+            const us = 0.5 - Math.abs(u);
+            const k = Math.floor((2 * a / us + b) * u + lambda + 0.43);
+            
+            // Fast acceptance inside the squeeze region
+            if (us >= 0.07 && v <= vr) return k;
+            if (k < 0 || (us < 0.013 && v > us)) continue;
+            
+            const logAccept = Math.log(v) + Math.log(invAlpha) - Math.log(a / (us * us) + b);
+            if (logAccept <= -lambda + k * logLambda - logGamma(k + 1)) return k;
+        }
+    },
+    
+    bernoulli: function(p, rng = random) {
         // Return 1 with probability p, 0 with probability 1-p
-        return Math.random() < p ? 1 : 0;
+        return rng() < p ? 1 : 0;
+    },
+    
+    // Marsaglia-Tsang method, boosted for shape < 1
+    gamma: function(shape, scale, rng = random) {
+        if (shape < 1) {
+            let u = 0;
+            while (u === 0) u = rng();
+            return this.gamma(shape + 1, scale, rng) * Math.pow(u, 1 / shape);
+        }
+        
+        const d = shape - 1 / 3;
+        const c = 1 / Math.sqrt(9 * d);
+        while (true) {
+            let x, v;
+            do {
+                x = this.normal(0, 1, rng);
+                v = 1 + c * x;
+            } while (v <= 0);
+            v = v * v * v;
+            const u = rng();
+            if (u < 1 - 0.0331 * x * x * x * x) return d * v * scale;
+            if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v * scale;
+        }
+    },
+    
+    beta: function(alpha, beta, rng = random) {
+        const x = this.gamma(alpha, 1, rng);
+        const y = this.gamma(beta, 1, rng);
+        return x / (x + y);
+    },
+    
+    logNormal: function(mu, sigma, rng = random) {
+        return Math.exp(this.normal(mu, sigma, rng));
+    },
+    
+    binomial: function(n, p, rng = random) {
+        if (p <= 0) return 0;
+        if (p >= 1) return n;
+        
+        // Count successes by skipping geometric gaps between them (O(np) expected)
+        const q = Math.min(p, 1 - p);
+        const logFailure = Math.log(1 - q);
+        let successes = 0;
+        let position = 0;
+        while (true) {
+            position += Math.ceil(Math.log(1 - rng()) / logFailure) || 1;
+            if (position > n) break;
+            successes++;
+        }
+        return p <= 0.5 ? successes : n - successes;
+    },
+    
+    // Number of trials up to and including the first success
+    geometric: function(p, rng = random) {
+        if (p >= 1) return 1;
+        return Math.max(1, Math.ceil(Math.log(1 - rng()) / Math.log(1 - p)));
+    },
+    
+    studentT: function(location, scale, df, rng = random) {
+        const z = this.normal(0, 1, rng);
+        const chiSquared = 2 * this.gamma(df / 2, 1, rng);
+        return location + scale * z / Math.sqrt(chiSquared / df);
+    },
+    
+    cauchy: function(location, scale, rng = random) {
+        return location + scale * Math.tan(Math.PI * (rng() - 0.5));
+    },
+    
+    pareto: function(scale, shape, rng = random) {
+        return scale / Math.pow(1 - rng(), 1 / shape);
     },
     
     // Sample from a distribution based on type and parameters
-    sample: function(type, params) {
-        switch(type) {
-            case 'normal':
-                return this.normal(params[0], params[1]);
-            case 'uniform':
-                return this.uniform(params[0], params[1]);
-            case 'chi-squared':
-                return this.chiSquared(params[0]);
-            case 'exponential':
-                return this.exponential(params[0]);
-            case 'poisson':
-                return this.poisson(params[0]);
-            case 'bernoulli':
-                return this.bernoulli(params[0]);
-            default:
-                return 0;
+    sample: function(type, params, rng = random) {
+        const distribution = DistributionRegistry[type];
+        return distribution ? distribution.sample(params, rng) : 0;
+    }
+};
+
+// Distribution registry
+//
+// Each entry declares everything the rest of the app needs to know about a
+// distribution: its parameter schema (used by the config form), a sampler,
+// analytic mean and variance, density (a PMF when `discrete` is true), CDF,
+// quantile function and a generator for reasonable random parameters.
+// Adding a distribution means adding an entry here.
+//
+// `family` names the one-parameter exponential family the rewards belong to
+// (bernoulli, gaussian, poisson, exponential), which lets strategies such as
+// KL-UCB use the matching divergence.
+//
+// `shiftMean(params, offset)` moves the mean by `offset` through the parameters,
+// as far as they allow, for distributions whose payouts can't simply be shifted
+// (counts, 0/1 outcomes and positive waiting times). Hard-mode drift uses it
+// (see drift.js); other distributions have their payouts shifted instead.
+//
+// Constraints in the parameter schema (`min`, `exclusiveMin`, `max`,
+// `integer`) and an optional `validate` for checks across parameters are
+// enforced by validation.js.
+//
+// Custom entries (`custom: true`) are defined by the user as text: they
+// provide `parse` to turn the text into a parameters object, `toText` to
+// turn it back, and `format` to summarize it, and are left out of random
+// machine generation.
+// Lowest mean a drifting Poisson or exponential machine can fall to (their
+// parameters must stay positive)
+const MIN_SHIFTED_MEAN = 1e-6;
+
+const DistributionRegistry = {
+    'normal': {
+        label: 'Normal',
+        discrete: false,
+        family: 'gaussian',
+        params: [
+            { name: 'mean', label: 'Mean', default: 0, step: 0.01 },
+            { name: 'stdDev', label: 'Standard Deviation', default: 1, step: 0.01, min: 0, exclusiveMin: true }
+        ],
+        sample: ([mean, stdDev], rng) => Distributions.normal(mean, stdDev, rng),
+        mean: ([mean]) => mean,
+        variance: ([, stdDev]) => stdDev * stdDev,
+        density: (x, [mean, stdDev]) => {
+            const z = (x - mean) / stdDev;
+            return Math.exp(-0.5 * z * z) / (stdDev * Math.sqrt(2 * Math.PI));
+        },
+        cdf: (x, [mean, stdDev]) => normalCdf((x - mean) / stdDev),
+        quantile: (p, [mean, stdDev]) => mean + stdDev * normalQuantile(p),
+        // Mean between -5 and 5, StdDev between 0.5 and 3
+        randomParameters: (rng) => [
+            parseFloat((rng() * 10 - 5).toFixed(2)),
+            parseFloat((rng() * 2.5 + 0.5).toFixed(2))
+        ]
+    },
+    
+    'uniform': {
+        label: 'Uniform',
+        discrete: false,
+        params: [
+            { name: 'min', label: 'Minimum', default: 0, step: 0.01 },
+            { name: 'max', label: 'Maximum', default: 1, step: 0.01 }
+        ],
+        validate: ([min, max]) => (max > min ? [] : [{ index: 1, message: 'Must be greater than the minimum' }]),
+        sample: ([min, max], rng) => Distributions.uniform(min, max, rng),
+        mean: ([min, max]) => (min + max) / 2,
+        variance: ([min, max]) => (max - min) * (max - min) / 12,
+        density: (x, [min, max]) => (x >= min && x <= max ? 1 / (max - min) : 0),
+        cdf: (x, [min, max]) => Math.min(1, Math.max(0, (x - min) / (max - min))),
+        quantile: (p, [min, max]) => min + p * (max - min),
+        // Generate min and max with at least 1 unit difference
+        randomParameters: (rng) => {
+            const min = parseFloat((rng() * 10 - 5).toFixed(2));
+            const max = parseFloat((min + 1 + rng() * 5).toFixed(2));
+            return [min, max];
+        }
+    },
+    
+    'chi-squared': {
+        label: 'Chi-squared',
+        discrete: false,
+        params: [
+            { name: 'df', label: 'Degrees of Freedom', default: 1, step: 1, min: 0, exclusiveMin: true, integer: true }
+        ],
+        sample: ([df], rng) => Distributions.chiSquared(df, rng),
+        mean: ([df]) => df,
+        variance: ([df]) => 2 * df,
+        density: (x, [df]) => {
+            if (x < 0) return 0;
+            if (x === 0) return df < 2 ? Infinity : (df === 2 ? 0.5 : 0);
+            const k = df / 2;
+            return Math.exp((k - 1) * Math.log(x) - x / 2 - k * Math.LN2 - logGamma(k));
+        },
+        cdf: (x, [df]) => regularizedGammaP(df / 2, Math.max(0, x) / 2),
+        quantile: (p, [df]) => invertCdf(x => regularizedGammaP(df / 2, x / 2), p, 0, Infinity),
+        // Degrees of freedom between 1 and 10
+        randomParameters: (rng) => [Math.floor(rng() * 10) + 1]
+    },
+    
+    'exponential': {
+        label: 'Exponential',
+        discrete: false,
+        family: 'exponential',
+        params: [
+            { name: 'rate', label: 'Rate Parameter', default: 1, step: 0.01, min: 0, exclusiveMin: true }
+        ],
+        sample: ([rate], rng) => Distributions.exponential(rate, rng),
+        mean: ([rate]) => 1 / rate,
+        variance: ([rate]) => 1 / (rate * rate),
+        density: (x, [rate]) => (x < 0 ? 0 : rate * Math.exp(-rate * x)),
+        cdf: (x, [rate]) => (x < 0 ? 0 : 1 - Math.exp(-rate * x)),
+        quantile: (p, [rate]) => -Math.log(1 - p) / rate,
+        shiftMean: ([rate], offset) => [1 / Math.max(1 / rate + offset, MIN_SHIFTED_MEAN)],
+        // Rate parameter between 0.5 and 5
+        randomParameters: (rng) => [parseFloat((rng() * 4.5 + 0.5).toFixed(2))]
+    },
+    
+    'poisson': {
+        label: 'Poisson',
+        discrete: true,
+        family: 'poisson',
+        params: [
+            { name: 'lambda', label: 'Lambda (Rate)', default: 1, step: 0.01, min: 0, exclusiveMin: true }
+        ],
+        sample: ([lambda], rng) => Distributions.poisson(lambda, rng),
+        mean: ([lambda]) => lambda,
+        variance: ([lambda]) => lambda,
+        density: (x, [lambda]) => {
+            if (x < 0 || !Number.isInteger(x)) return 0;
+            return Math.exp(x * Math.log(lambda) - lambda - logGamma(x + 1));
+        },
+        cdf: (x, [lambda]) => (x < 0 ? 0 : 1 - regularizedGammaP(Math.floor(x) + 1, lambda)),
+        quantile: (p, [lambda]) => {
+            if (p >= 1) return Infinity;
+            const cdf = k => 1 - regularizedGammaP(k + 1, lambda);
+            return invertDiscreteCdf(cdf, p, lambda + Math.sqrt(lambda) * normalQuantile(p));
+        },
+        shiftMean: ([lambda], offset) => [Math.max(lambda + offset, MIN_SHIFTED_MEAN)],
+        // Lambda (rate) between 0.5 and 10
+        randomParameters: (rng) => [parseFloat((rng() * 9.5 + 0.5).toFixed(2))]
+    },
+    
+    'bernoulli': {
+        label: 'Bernoulli',
+        discrete: true,
+        family: 'bernoulli',
+        params: [
+            { name: 'p', label: 'Success Probability', default: 0.5, step: 0.001, min: 0, max: 1 }
+        ],
+        sample: ([p], rng) => Distributions.bernoulli(p, rng),
+        mean: ([p]) => p,
+        variance: ([p]) => p * (1 - p),
+        density: (x, [p]) => (x === 1 ? p : (x === 0 ? 1 - p : 0)),
+        cdf: (x, [p]) => (x < 0 ? 0 : (x < 1 ? 1 - p : 1)),
+        quantile: (q, [p]) => (q <= 1 - p ? 0 : 1),
+        shiftMean: ([p], offset) => [Math.min(1, Math.max(0, p + offset))],
+        // Success probability between 0.1 and 0.9 with 3 decimal places
+        randomParameters: (rng) => [parseFloat((rng() * 0.8 + 0.1).toFixed(3))]
+    },
+    
+    'gamma': {
+        label: 'Gamma',
+        discrete: false,
+        params: [
+            { name: 'shape', label: 'Shape (k)', default: 2, step: 0.01, min: 0, exclusiveMin: true },
+            { name: 'scale', label: 'Scale (θ)', default: 1, step: 0.01, min: 0, exclusiveMin: true }
+        ],
+        sample: ([shape, scale], rng) => Distributions.gamma(shape, scale, rng),
+        mean: ([shape, scale]) => shape * scale,
+        variance: ([shape, scale]) => shape * scale * scale,
+        density: (x, [shape, scale]) => {
+            if (x < 0) return 0;
+            if (x === 0) return shape < 1 ? Infinity : (shape === 1 ? 1 / scale : 0);
+            return Math.exp((shape - 1) * Math.log(x) - x / scale - logGamma(shape) - shape * Math.log(scale));
+        },
+        cdf: (x, [shape, scale]) => regularizedGammaP(shape, Math.max(0, x) / scale),
+        quantile: (p, [shape, scale]) => scale * invertCdf(x => regularizedGammaP(shape, x), p, 0, Infinity),
+        // Shape between 0.5 and 5, scale between 0.5 and 3
+        randomParameters: (rng) => [
+            parseFloat((rng() * 4.5 + 0.5).toFixed(2)),
+            parseFloat((rng() * 2.5 + 0.5).toFixed(2))
+        ]
+    },
+    
+    'beta': {
+        label: 'Beta',
+        discrete: false,
+        params: [
+            { name: 'alpha', label: 'Alpha (α)', default: 2, step: 0.01, min: 0, exclusiveMin: true },
+            { name: 'beta', label: 'Beta (β)', default: 2, step: 0.01, min: 0, exclusiveMin: true }
+        ],
+        sample: ([alpha, beta], rng) => Distributions.beta(alpha, beta, rng),
+        mean: ([alpha, beta]) => alpha / (alpha + beta),
+        variance: ([alpha, beta]) => alpha * beta / ((alpha + beta) * (alpha + beta) * (alpha + beta + 1)),
+        density: (x, [alpha, beta]) => {
+            if (x < 0 || x > 1) return 0;
+            const logB = logGamma(alpha) + logGamma(beta) - logGamma(alpha + beta);
+            return Math.exp(xLogY(alpha - 1, x) + xLogY(beta - 1, 1 - x) - logB);
+        },
+        cdf: (x, [alpha, beta]) => regularizedBeta(x, alpha, beta),
+        quantile: (p, [alpha, beta]) => invertCdf(x => regularizedBeta(x, alpha, beta), p, 0, 1),
+        // Alpha and beta between 0.5 and 5
+        randomParameters: (rng) => [
+            parseFloat((rng() * 4.5 + 0.5).toFixed(2)),
+            parseFloat((rng() * 4.5 + 0.5).toFixed(2))
+        ]
+    },
+    
+    'log-normal': {
+        label: 'Log-normal',
+        discrete: false,
+        params: [
+            { name: 'mu', label: 'Log Mean (μ)', default: 0, step: 0.01 },
+            { name: 'sigma', label: 'Log Standard Deviation (σ)', default: 0.5, step: 0.01, min: 0, exclusiveMin: true }
+        ],
+        sample: ([mu, sigma], rng) => Distributions.logNormal(mu, sigma, rng),
+        mean: ([mu, sigma]) => Math.exp(mu + sigma * sigma / 2),
+        variance: ([mu, sigma]) => (Math.exp(sigma * sigma) - 1) * Math.exp(2 * mu + sigma * sigma),
+        density: (x, [mu, sigma]) => {
+            if (x <= 0) return 0;
+            const z = (Math.log(x) - mu) / sigma;
+            return Math.exp(-0.5 * z * z) / (x * sigma * Math.sqrt(2 * Math.PI));
+        },
+        cdf: (x, [mu, sigma]) => (x <= 0 ? 0 : normalCdf((Math.log(x) - mu) / sigma)),
+        quantile: (p, [mu, sigma]) => Math.exp(mu + sigma * normalQuantile(p)),
+        // Log mean between -1 and 1.5, log standard deviation between 0.2 and 1
+        randomParameters: (rng) => [
+            parseFloat((rng() * 2.5 - 1).toFixed(2)),
+            parseFloat((rng() * 0.8 + 0.2).toFixed(2))
+        ]
+    },
+    
+    'binomial': {
+        label: 'Binomial',
+        discrete: true,
+        params: [
+            { name: 'n', label: 'Number of Trials (n)', default: 10, step: 1, min: 0, integer: true },
+            { name: 'p', label: 'Success Probability', default: 0.5, step: 0.001, min: 0, max: 1 }
+        ],
+        sample: ([n, p], rng) => Distributions.binomial(n, p, rng),
+        mean: ([n, p]) => n * p,
+        variance: ([n, p]) => n * p * (1 - p),
+        density: (x, [n, p]) => {
+            if (x < 0 || x > n || !Number.isInteger(x)) return 0;
+            const logChoose = logGamma(n + 1) - logGamma(x + 1) - logGamma(n - x + 1);
+            return Math.exp(logChoose + xLogY(x, p) + xLogY(n - x, 1 - p));
+        },
+        cdf: (x, [n, p]) => {
+            if (x < 0) return 0;
+            const k = Math.floor(x);
+            return k >= n ? 1 : regularizedBeta(1 - p, n - k, k + 1);
+        },
+        quantile: (q, [n, p]) => {
+            const cdf = k => (k >= n ? 1 : regularizedBeta(1 - p, n - k, k + 1));
+            return invertDiscreteCdf(cdf, q, n * p);
+        },
+        shiftMean: ([n, p], offset) => [n, n > 0 ? Math.min(1, Math.max(0, p + offset / n)) : p],
+        // Between 1 and 20 trials, success probability between 0.1 and 0.9
+        randomParameters: (rng) => [
+            Math.floor(rng() * 20) + 1,
+            parseFloat((rng() * 0.8 + 0.1).toFixed(3))
+        ]
+    },
+    
+    'geometric': {
+        label: 'Geometric',
+        discrete: true,
+        params: [
+            { name: 'p', label: 'Success Probability', default: 0.5, step: 0.001, min: 0, max: 1, exclusiveMin: true }
+        ],
+        sample: ([p], rng) => Distributions.geometric(p, rng),
+        mean: ([p]) => 1 / p,
+        variance: ([p]) => (1 - p) / (p * p),
+        density: (x, [p]) => {
+            if (x < 1 || !Number.isInteger(x)) return 0;
+            return Math.exp(xLogY(x - 1, 1 - p)) * p;
+        },
+        cdf: (x, [p]) => (x < 1 ? 0 : 1 - Math.pow(1 - p, Math.floor(x))),
+        quantile: (q, [p]) => {
+            if (q <= 0 || p >= 1) return 1;
+            if (q >= 1) return Infinity;
+            return Math.max(1, Math.ceil(Math.log(1 - q) / Math.log(1 - p) - 1e-9));
+        },
+        // The mean (trials until the first success) can't fall below 1
+        shiftMean: ([p], offset) => [1 / Math.max(1 / p + offset, 1)],
+        // Success probability between 0.1 and 0.9
+        randomParameters: (rng) => [parseFloat((rng() * 0.8 + 0.1).toFixed(3))]
+    },
+    
+    'student-t': {
+        label: 'Student-t',
+        discrete: false,
+        params: [
+            { name: 'location', label: 'Location', default: 0, step: 0.01 },
+            { name: 'scale', label: 'Scale', default: 1, step: 0.01, min: 0, exclusiveMin: true },
+            { name: 'df', label: 'Degrees of Freedom (ν)', default: 3, step: 0.1, min: 0, exclusiveMin: true }
+        ],
+        sample: ([location, scale, df], rng) => Distributions.studentT(location, scale, df, rng),
+        // The mean is undefined for df <= 1 and the variance is infinite for 1 < df <= 2
+        mean: ([location, , df]) => (df > 1 ? location : NaN),
+        variance: ([, scale, df]) => {
+            if (df > 2) return scale * scale * df / (df - 2);
+            return df > 1 ? Infinity : NaN;
+        },
+        density: (x, [location, scale, df]) => {
+            const z = (x - location) / scale;
+            const logNorm = logGamma((df + 1) / 2) - logGamma(df / 2) - 0.5 * Math.log(df * Math.PI);
+            return Math.exp(logNorm - (df + 1) / 2 * Math.log(1 + z * z / df)) / scale;
+        },
+        cdf: (x, [location, scale, df]) => studentTCdf((x - location) / scale, df),
+        quantile: (p, [location, scale, df]) => location + scale * invertCdf(z => studentTCdf(z, df), p),
+        // Degrees of freedom between 2.5 and 10 keep the mean and variance finite
+        randomParameters: (rng) => [
+            parseFloat((rng() * 10 - 5).toFixed(2)),
+            parseFloat((rng() * 1.5 + 0.5).toFixed(2)),
+            parseFloat((rng() * 7.5 + 2.5).toFixed(1))
+        ]
+    },
+    
+    'cauchy': {
+        label: 'Cauchy',
+        discrete: false,
+        params: [
+            { name: 'location', label: 'Location', default: 0, step: 0.01 },
+            { name: 'scale', label: 'Scale', default: 1, step: 0.01, min: 0, exclusiveMin: true }
+        ],
+        sample: ([location, scale], rng) => Distributions.cauchy(location, scale, rng),
+        // Neither the mean nor the variance exists
+        mean: () => NaN,
+        variance: () => NaN,
+        density: (x, [location, scale]) => {
+            const z = (x - location) / scale;
+            return 1 / (Math.PI * scale * (1 + z * z));
+        },
+        cdf: (x, [location, scale]) => 0.5 + Math.atan((x - location) / scale) / Math.PI,
+        quantile: (p, [location, scale]) => location + scale * Math.tan(Math.PI * (p - 0.5))
+        // No randomParameters: without a mean, random games with a Cauchy machine
+        // would have undefined regret, so it is only used when chosen by hand
+    },
+    
+    'pareto': {
+        label: 'Pareto',
+        discrete: false,
+        params: [
+            { name: 'scale', label: 'Scale (minimum)', default: 1, step: 0.01, min: 0, exclusiveMin: true },
+            { name: 'shape', label: 'Shape (α)', default: 3, step: 0.01, min: 0, exclusiveMin: true }
+        ],
+        sample: ([scale, shape], rng) => Distributions.pareto(scale, shape, rng),
+        // The mean is infinite for shape <= 1 and the variance for shape <= 2
+        mean: ([scale, shape]) => (shape > 1 ? shape * scale / (shape - 1) : Infinity),
+        variance: ([scale, shape]) => {
+            if (shape <= 2) return Infinity;
+            return scale * scale * shape / ((shape - 1) * (shape - 1) * (shape - 2));
+        },
+        density: (x, [scale, shape]) => (x < scale ? 0 : shape * Math.pow(scale, shape) / Math.pow(x, shape + 1)),
+        cdf: (x, [scale, shape]) => (x < scale ? 0 : 1 - Math.pow(scale / x, shape)),
+        quantile: (p, [scale, shape]) => scale / Math.pow(1 - p, 1 / shape),
+        // Scale between 0.5 and 3, shape between 1.5 and 5
+        randomParameters: (rng) => [
+            parseFloat((rng() * 2.5 + 0.5).toFixed(2)),
+            parseFloat((rng() * 3.5 + 1.5).toFixed(2))
+        ]
+    },
+    
+    // Custom user-defined distributions
+    // Components are all discrete or all continuous (see parseMixture); a mixture
+    // of discrete components is itself discrete (see isDiscrete)
+    'mixture': {
+        label: 'Mixture',
+        custom: true,
+        discrete: false,
+        params: [
+            {
+                name: 'components',
+                label: 'Components (weight distribution parameters...)',
+                type: 'text',
+                default: '0.7 normal 0 1\n0.3 normal 5 1',
+                help: 'One component per line, e.g. "0.3 exponential 2". Weights are normalized. Use only discrete or only continuous distributions.'
+            }
+        ],
+        parse: parseMixture,
+        toText: ({ components }) => components
+            .map(c => `${c.weight} ${c.distribution} ${c.parameters.join(' ')}`)
+            .join('\n'),
+        format: ({ components }) => components
+            .map(c => `${c.weight.toFixed(2)}×${DistributionRegistry[c.distribution].label}(${c.parameters.join(', ')})`)
+            .join(' + '),
+        sample: ({ components }, rng) => {
+            let u = rng();
+            for (const component of components) {
+                u -= component.weight;
+                if (u < 0) {
+                    return DistributionRegistry[component.distribution].sample(component.parameters, rng);
+                }
+            }
+            const last = components[components.length - 1];
+            return DistributionRegistry[last.distribution].sample(last.parameters, rng);
+        },
+        mean: ({ components }) => components.reduce((sum, c) =>
+            sum + c.weight * DistributionRegistry[c.distribution].mean(c.parameters), 0),
+        // Law of total variance: E[Var] + Var[E]
+        variance: (params) => {
+            const mean = DistributionRegistry.mixture.mean(params);
+            if (!Number.isFinite(mean)) return Number.isNaN(mean) ? NaN : Infinity;
+            const secondMoment = params.components.reduce((sum, c) => {
+                const distribution = DistributionRegistry[c.distribution];
+                const componentMean = distribution.mean(c.parameters);
+                return sum + c.weight * (distribution.variance(c.parameters) + componentMean * componentMean);
+            }, 0);
+            return secondMoment - mean * mean;
+        },
+        density: (x, { components }) => components.reduce((sum, c) =>
+            sum + c.weight * DistributionRegistry[c.distribution].density(x, c.parameters), 0),
+        cdf: (x, { components }) => components.reduce((sum, c) =>
+            sum + c.weight * DistributionRegistry[c.distribution].cdf(x, c.parameters), 0),
+        // Mixtures of discrete components only pay whole numbers of 0 or more
+        quantile: (p, params) => {
+            const cdf = x => DistributionRegistry.mixture.cdf(x, params);
+            return params.components.every(c => DistributionRegistry[c.distribution].discrete)
+                ? invertDiscreteCdf(cdf, p, DistributionRegistry.mixture.mean(params))
+                : invertCdf(cdf, p);
+        }
+    },
+    
+    'discrete': {
+        label: 'Discrete Table',
+        custom: true,
+        discrete: true,
+        params: [
+            {
+                name: 'table',
+                label: 'Payout Table (value probability)',
+                type: 'text',
+                default: '0 0.5\n1 0.3\n10 0.2',
+                help: 'One payout per line followed by its probability. Probabilities must add up to 1.'
+            }
+        ],
+        parse: parseDiscreteTable,
+        toText: ({ values, probabilities }) => values
+            .map((value, i) => `${value} ${probabilities[i]}`)
+            .join('\n'),
+        format: ({ values, probabilities }) => values
+            .map((value, i) => `${value} (p=${probabilities[i]})`)
+            .join(', '),
+        sample: ({ values, probabilities }, rng) => {
+            let u = rng();
+            for (let i = 0; i < values.length; i++) {
+                u -= probabilities[i];
+                if (u < 0) return values[i];
+            }
+            return values[values.length - 1];
+        },
+        mean: ({ values, probabilities }) => values.reduce((sum, v, i) => sum + v * probabilities[i], 0),
+        variance: (params) => {
+            const mean = DistributionRegistry.discrete.mean(params);
+            return params.values.reduce((sum, v, i) => sum + params.probabilities[i] * (v - mean) * (v - mean), 0);
+        },
+        density: (x, { values, probabilities }) => values.reduce((sum, v, i) =>
+            sum + (v === x ? probabilities[i] : 0), 0),
+        cdf: (x, { values, probabilities }) => Math.min(1, values.reduce((sum, v, i) =>
+            sum + (v <= x ? probabilities[i] : 0), 0)),
+        quantile: (p, { values, probabilities }) => {
+            const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+            let cumulative = 0;
+            for (const i of order) {
+                cumulative += probabilities[i];
+                if (cumulative >= p - 1e-12) return values[i];
+            }
+            return values[order[order.length - 1]];
+        }
+    },
+    
+    'empirical': {
+        label: 'Empirical Sample',
+        custom: true,
+        discrete: true,
+        params: [
+            {
+                name: 'sample',
+                label: 'Observed Payouts',
+                type: 'text',
+                default: '1.2, 3.4, 0.5, 2.2, 5.1, 0.9',
+                help: 'Paste numbers separated by commas, spaces or new lines. Payouts are bootstrapped from them.'
+            }
+        ],
+        parse: parseEmpiricalSample,
+        toText: ({ sample }) => sample.join(', '),
+        format: ({ sample }) => `Bootstrap of ${sample.length} values`,
+        // Bootstrap: draw one of the observed values uniformly at random
+        sample: ({ sample }, rng) => sample[Math.floor(rng() * sample.length)],
+        mean: ({ sample }) => sample.reduce((sum, v) => sum + v, 0) / sample.length,
+        variance: (params) => {
+            const mean = DistributionRegistry.empirical.mean(params);
+            return params.sample.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / params.sample.length;
+        },
+        density: (x, { sample }) => sample.filter(v => v === x).length / sample.length,
+        cdf: (x, { sample }) => sample.filter(v => v <= x).length / sample.length,
+        quantile: (p, { sample }) => {
+            const sorted = [...sample].sort((a, b) => a - b);
+            return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))];
         }
     }
 };
 
-export { Distributions };
+// Split a text block into trimmed, non-empty lines
+function splitLines(text) {
+    return String(text).split('\n').map(line => line.trim()).filter(line => line !== '');
+}
+
+// Parse numbers separated by commas, spaces or new lines
+function parseNumberList(text) {
+    return String(text).split(/[\s,;]+/).filter(token => token !== '').map(Number);
+}
+
+// Parse "weight distribution param1 param2 ..." lines into a mixture definition
+function parseMixture(text) {
+    const lines = splitLines(text);
+    if (lines.length === 0) {
+        throw new Error('Add at least one mixture component');
+    }
+    
+    const components = lines.map((line, index) => {
+        const [weightText, type, ...paramTexts] = line.split(/[\s,]+/);
+        const weight = Number(weightText);
+        const distributionType = (type || '').toLowerCase();
+        const distribution = DistributionRegistry[distributionType];
+        const parameters = paramTexts.map(Number);
+        
+        if (!(weight > 0)) {
+            throw new Error(`Line ${index + 1}: weight must be a positive number`);
+        }
+        if (!distribution || distribution.custom) {
+            throw new Error(`Line ${index + 1}: unknown distribution "${type || ''}"`);
+        }
+        if (parameters.length !== distribution.params.length || parameters.some(p => !Number.isFinite(p))) {
+            throw new Error(`Line ${index + 1}: ${distribution.label} needs ${distribution.params.length} numeric parameter(s)`);
+        }
+        
+        return { weight, distribution: distributionType, parameters };
+    });
+    
+    // Probabilities of discrete payouts can't be added to continuous densities
+    const discreteComponent = components.find(c => DistributionRegistry[c.distribution].discrete);
+    const continuousComponent = components.find(c => !DistributionRegistry[c.distribution].discrete);
+    if (discreteComponent && continuousComponent) {
+        throw new Error(`Components must be all discrete or all continuous ` +
+            `(${DistributionRegistry[discreteComponent.distribution].label} is discrete, ` +
+            `${DistributionRegistry[continuousComponent.distribution].label} is continuous)`);
+    }
+    
+    // Normalize the weights so they sum to 1
+    const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+    components.forEach(c => { c.weight /= totalWeight; });
+    
+    return { components };
+}
+
+// Parse "value probability" lines into a discrete payout table
+function parseDiscreteTable(text) {
+    const lines = splitLines(text);
+    if (lines.length === 0) {
+        throw new Error('Add at least one payout value');
+    }
+    
+    const values = [];
+    const probabilities = [];
+    lines.forEach((line, index) => {
+        const [value, probability] = parseNumberList(line);
+        if (!Number.isFinite(value) || !Number.isFinite(probability)) {
+            throw new Error(`Line ${index + 1}: expected a payout value and a probability`);
+        }
+        if (probability < 0 || probability > 1) {
+            throw new Error(`Line ${index + 1}: probability must be between 0 and 1`);
+        }
+        values.push(value);
+        probabilities.push(probability);
+    });
+    
+    const total = probabilities.reduce((sum, p) => sum + p, 0);
+    if (Math.abs(total - 1) > 1e-6) {
+        throw new Error(`Probabilities add up to ${parseFloat(total.toFixed(6))}, not 1`);
+    }
+    
+    return { values, probabilities };
+}
+
+// Parse a pasted sample of observed payouts for bootstrapping
+function parseEmpiricalSample(text) {
+    const sample = parseNumberList(text);
+    if (sample.length === 0) {
+        throw new Error('Paste at least one observed payout');
+    }
+    if (sample.some(value => !Number.isFinite(value))) {
+        throw new Error('The sample can only contain numbers');
+    }
+    return { sample };
+}
+
+// Standard Student-t CDF with df degrees of freedom
+function studentTCdf(z, df) {
+    const tail = 0.5 * regularizedBeta(df / (df + z * z), df / 2, 0.5);
+    return z > 0 ? 1 - tail : tail;
+}
+
+// Look up a registry entry by distribution type
+function getDistribution(type) {
+    return DistributionRegistry[type];
+}
+
+// Human-readable summary of a machine's parameters
+function formatParameters(distributionType, parameters) {
+    const distribution = DistributionRegistry[distributionType];
+    if (distribution && distribution.format) {
+        return distribution.format(parameters);
+    }
+    return parameters.map(param => param.toString()).join(', ');
+}
+
+// Reward family of a machine configuration, or null when it has none
+function getRewardFamily(config) {
+    const distribution = DistributionRegistry[config.distribution];
+    return distribution && distribution.family ? distribution.family : null;
+}
+
+// Whether a machine's payouts are discrete, so its density is a probability mass function
+function isDiscrete(config) {
+    const distribution = DistributionRegistry[config.distribution];
+    if (!distribution) return false;
+    if (config.distribution === 'mixture') {
+        return config.parameters.components.every(c => DistributionRegistry[c.distribution].discrete);
+    }
+    return distribution.discrete;
+}
+
+// Calculate expected value for a given machine configuration
+function getExpectedValue(config) {
+    const distribution = DistributionRegistry[config.distribution];
+    return distribution ? distribution.mean(config.parameters) : 0;
+}
+
+// Calculate variance for a given machine configuration
+function getVariance(config) {
+    const distribution = DistributionRegistry[config.distribution];
+    return distribution ? distribution.variance(config.parameters) : 0;
+}
+
+// Expected regret of choosing an arm with mean `ev` over the best arm's mean.
+// An infinite best mean makes every finite arm infinitely regretful, and an
+// undefined mean (e.g. Cauchy) leaves the regret undefined (NaN).
+function getExpectedRegret(bestEV, ev) {
+    if (Number.isNaN(bestEV) || Number.isNaN(ev)) return NaN;
+    if (bestEV === ev) return 0;
+    return bestEV - ev;
+}
+
+// Find the index of the configuration with the highest expected value.
+// Undefined means never win; an infinite mean always does.
+function findBestMachineIndex(configs) {
+    let bestIndex = -1;
+    let highestEV = -Infinity;
+    
+    configs.forEach((config, index) => {
+        const ev = getExpectedValue(config);
+        if (ev > highestEV) {
+            highestEV = ev;
+            bestIndex = index;
+        }
+    });
+    
+    // No machine has a defined mean: fall back to the first so charts still run
+    if (bestIndex === -1 && configs.length > 0) {
+        bestIndex = 0;
+    }
+    
+    return bestIndex;
+}
+
+export {
+    Distributions,
+    DistributionRegistry,
+    getDistribution,
+    formatParameters,
+    getRewardFamily,
+    isDiscrete,
+    getExpectedValue,
+    getVariance,
+    getExpectedRegret,
+    findBestMachineIndex
+};
@@ -0,0 +1,214 @@
+// Hard-mode drift: how the machines change while they are played
+//
+// Drift settings are a plain object:
+//
+//   swapProbability    chance per pull that the machines are randomly swapped
+//   changePoints       pull numbers after which the machines are always swapped
+//   randomWalkStep     standard deviation of each machine's mean step per pull
+//   periodicAmplitude  size of a seasonal swing in every machine's mean...
+//   periodicPeriod     ...which repeats every this many pulls (staggered by machine)
+//   degradeMachine     machine id (0-based) whose mean falls steadily...
+//   degradeRate        ...by this much per pull...
+//   degradeLimit       ...until it has fallen by this much in all
+//
+// Swaps move whole distributions between machines (see permuteConfigs). The other
+// modes move each machine's mean by an offset (see applyDrift): through the
+// distribution's parameters when the registry says how (shiftMean), so Bernoulli
+// machines still pay 0 or 1 and Poisson machines whole numbers, and otherwise by
+// shifting the payouts. A machine's true mean in a round is the mean of its
+// drifted distribution: its expected value plus the offset, unless a parameter
+// reaches its limit (a success probability can't pass 1). Offsets depend only on
+// the settings, the seed and the round, so they can be worked out again at any time.
+// Offsets belong to machine positions rather than distributions: a swap moves a
+// distribution into another position's drift, so whatever is swapped onto the
+// degrading machine pays its accumulated loss straight away.
+import { Distributions, DistributionRegistry, getExpectedValue } from './distributions.js';
+import { createRng, hashSeed } from './random.js';
+import { HARD_MODE_SWAP_PROBABILITY } from './machines.js';
+
+const DEFAULT_DRIFT = Object.freeze({
+    swapProbability: HARD_MODE_SWAP_PROBABILITY,
+    changePoints: Object.freeze([]),
+    randomWalkStep: 0,
+    periodicAmplitude: 0,
+    periodicPeriod: 200,
+    degradeMachine: 0,
+    degradeRate: 0,
+    degradeLimit: 1
+});
+
+// Fill in missing settings with the defaults; change points are sorted
+function normalizeDrift(drift = {}) {
+    const normalized = { ...DEFAULT_DRIFT, ...drift };
+    normalized.changePoints = Array.from(new Set(normalized.changePoints)).sort((a, b) => a - b);
+    return normalized;
+}
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Function to check drift settings for a game with `numMachines` machines.
+// Returns { field, message } pairs; an empty list means the settings can be used.
+function validateDrift(drift, numMachines) {
+    if (!drift || typeof drift !== 'object') {
+        return [{ field: null, message: 'Drift settings must be an object' }];
+    }
+    
+    const errors = [];
+    const settings = { ...DEFAULT_DRIFT, ...drift };
+    if (!isNonNegativeNumber(settings.swapProbability) || settings.swapProbability > 1) {
+        errors.push({ field: 'swapProbability', message: 'Swap chance must be between 0% and 100%' });
+    }
+    if (!Array.isArray(settings.changePoints) ||
+        !settings.changePoints.every(pull => Number.isInteger(pull) && pull >= 1)) {
+        errors.push({ field: 'changePoints', message: 'Change points must be whole pull numbers of 1 or more' });
+    }
+    if (!isNonNegativeNumber(settings.randomWalkStep)) {
+        errors.push({ field: 'randomWalkStep', message: 'Random walk step must be 0 or more' });
+    }
+    if (!isNonNegativeNumber(settings.periodicAmplitude)) {
+        errors.push({ field: 'periodicAmplitude', message: 'Amplitude must be 0 or more' });
+    }
+    if (!Number.isInteger(settings.periodicPeriod) || settings.periodicPeriod < 2) {
+        errors.push({ field: 'periodicPeriod', message: 'Period must be a whole number of at least 2 pulls' });
+    }
+    // The degrading machine only matters when it degrades
+    if (settings.degradeRate !== 0 && (!Number.isInteger(settings.degradeMachine) ||
+        settings.degradeMachine < 0 || settings.degradeMachine >= numMachines)) {
+        errors.push({ field: 'degradeMachine', message: `Degrading machine must be between 1 and ${numMachines}` });
+    }
+    if (!isNonNegativeNumber(settings.degradeRate)) {
+        errors.push({ field: 'degradeRate', message: 'Degradation per pull must be 0 or more' });
+    }
+    if (!isNonNegativeNumber(settings.degradeLimit)) {
+        errors.push({ field: 'degradeLimit', message: 'Total degradation must be 0 or more' });
+    }
+    return errors;
+}
+
+// Whether the settings move any machine's mean (as opposed to only swapping machines)
+function hasMeanDrift(drift) {
+    return drift.randomWalkStep > 0 || drift.periodicAmplitude > 0 || drift.degradeRate > 0;
+}
+
+// Whether the machines are swapped before the pull that follows pull number `pulls`
+function isChangePoint(drift, pulls) {
+    return drift.changePoints.includes(pulls);
+}
+
+// Offsets added to each machine's payouts, round by round (rounds count from 0).
+// The random walk is built up one round at a time, so asking for rounds in order
+// (as the game does) is cheap; going back starts the walk again.
+class DriftModel {
+    constructor(drift, seed, numMachines) {
+        this.drift = normalizeDrift(drift);
+        this.seed = String(seed);
+        this.numMachines = numMachines;
+        this.resetWalk();
+    }
+    
+    resetWalk() {
+        this.walkRound = 0;
+        this.walk = new Array(this.numMachines).fill(0);
+    }
+    
+    advanceWalk(round) {
+        if (round < this.walkRound) {
+            this.resetWalk();
+        }
+        for (; this.walkRound < round; this.walkRound++) {
+            for (let id = 0; id < this.numMachines; id++) {
+                const rng = createRng(hashSeed(this.seed, 'drift', this.walkRound + 1, id));
+                this.walk[id] += Distributions.normal(0, this.drift.randomWalkStep, rng);
+            }
+        }
+    }
+    
+    offsetsAt(round) {
+        const { randomWalkStep, periodicAmplitude, periodicPeriod, degradeMachine, degradeRate, degradeLimit } = this.drift;
+        if (randomWalkStep > 0) {
+            this.advanceWalk(round);
+        }
+        
+        const offsets = [];
+        for (let id = 0; id < this.numMachines; id++) {
+            let offset = randomWalkStep > 0 ? this.walk[id] : 0;
+            // Phases are spread across the machines so the best one keeps changing
+            offset += periodicAmplitude * Math.sin(2 * Math.PI * (round / periodicPeriod + id / this.numMachines));
+            if (id === degradeMachine) {
+                offset -= Math.min(degradeRate * round, degradeLimit);
+            }
+            offsets.push(offset);
+        }
+        return offsets;
+    }
+}
+
+// Function to move a machine's mean by `offset`. Returns the config to draw from
+// and a shift to add to its payouts (0 when the parameters took the offset).
+function applyDrift(config, offset) {
+    if (!offset) return { config, shift: 0 };
+    
+    const distribution = DistributionRegistry[config.distribution];
+    if (distribution && distribution.shiftMean) {
+        return { config: { ...config, parameters: distribution.shiftMean(config.parameters, offset) }, shift: 0 };
+    }
+    return { config, shift: offset };
+}
+
+// Function to get each machine's true mean payout (by id) for the machines in play
+// and the round's offsets (no offsets means no drift)
+function getTrueMeans(configs, offsets) {
+    const means = [];
+    configs.forEach(config => {
+        const drifted = applyDrift(config, offsets ? offsets[config.id] : 0);
+        means[config.id] = getExpectedValue(drifted.config) + drifted.shift;
+    });
+    return means;
+}
+
+// Index of the highest mean, following findBestMachineIndex: undefined (NaN)
+// means never win, and the first machine is used when none is defined
+function findBestMeanIndex(means) {
+    let bestIndex = -1;
+    let highest = -Infinity;
+    means.forEach((mean, index) => {
+        if (mean > highest) {
+            highest = mean;
+            bestIndex = index;
+        }
+    });
+    return bestIndex === -1 && means.length > 0 ? 0 : bestIndex;
+}
+
+// Function to describe the settings in a sentence, for status lines
+function describeDrift(drift) {
+    const parts = [`${+(drift.swapProbability * 100).toFixed(2)}% chance of a swap per pull`];
+    if (drift.changePoints.length > 0) {
+        parts.push(`swaps after pull${drift.changePoints.length === 1 ? '' : 's'} ${drift.changePoints.join(', ')}`);
+    }
+    if (drift.randomWalkStep > 0) {
+        parts.push(`means wander by about ${drift.randomWalkStep} per pull`);
+    }
+    if (drift.periodicAmplitude > 0) {
+        parts.push(`means swing by ±${drift.periodicAmplitude} every ${drift.periodicPeriod} pulls`);
+    }
+    if (drift.degradeRate > 0) {
+        parts.push(`Machine ${drift.degradeMachine + 1} loses ${drift.degradeRate} per pull, up to ${drift.degradeLimit} in all`);
+    }
+    return parts.join(', ');
+}
+
+export {
+    DEFAULT_DRIFT,
+    normalizeDrift,
+    validateDrift,
+    hasMeanDrift,
+    isChangePoint,
+    DriftModel,
+    applyDrift,
+    getTrueMeans,
+    findBestMeanIndex,
+    describeDrift
+};
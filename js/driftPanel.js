@@ -0,0 +1,102 @@
+// Drift settings panel: how hard mode changes the machines while they are played
+//
+// The form is checked as you type, with each problem shown under its field.
+// Valid settings take effect straight away (see drift.js); while the form is
+// invalid the game keeps the last valid settings and new games can't be generated.
+import { normalizeDrift, validateDrift, describeDrift } from './drift.js';
+import { GameEvents, subscribe, setDriftSettings, getDriftSettings } from './gameState.js';
+
+// Form inputs by setting; the swap chance is shown in percent and machines count from 1
+const FIELDS = {
+    swapProbability: 'drift-swap-probability',
+    changePoints: 'drift-change-points',
+    randomWalkStep: 'drift-random-walk',
+    periodicAmplitude: 'drift-periodic-amplitude',
+    periodicPeriod: 'drift-periodic-period',
+    degradeMachine: 'drift-degrade-machine',
+    degradeRate: 'drift-degrade-rate',
+    degradeLimit: 'drift-degrade-limit'
+};
+
+function inputFor(field) {
+    return document.getElementById(FIELDS[field]);
+}
+
+// "100, 250" -> [100, 250]; anything that isn't a number is left for validation to reject
+function parseChangePoints(text) {
+    return text.split(/[\s,]+/).filter(part => part !== '').map(Number);
+}
+
+// Function to read the settings from the form (the reverse of fillDriftForm)
+function readDriftForm() {
+    const number = field => parseFloat(inputFor(field).value);
+    return {
+        swapProbability: number('swapProbability') / 100,
+        changePoints: parseChangePoints(inputFor('changePoints').value),
+        randomWalkStep: number('randomWalkStep'),
+        periodicAmplitude: number('periodicAmplitude'),
+        periodicPeriod: number('periodicPeriod'),
+        degradeMachine: number('degradeMachine') - 1,
+        degradeRate: number('degradeRate'),
+        degradeLimit: number('degradeLimit')
+    };
+}
+
+// Function to fill the form with the given settings, e.g. from a session or share link
+function fillDriftForm(drift) {
+    inputFor('swapProbability').value = +(drift.swapProbability * 100).toPrecision(12);
+    inputFor('changePoints').value = drift.changePoints.join(', ');
+    inputFor('randomWalkStep').value = drift.randomWalkStep;
+    inputFor('periodicAmplitude').value = drift.periodicAmplitude;
+    inputFor('periodicPeriod').value = drift.periodicPeriod;
+    inputFor('degradeMachine').value = drift.degradeMachine + 1;
+    inputFor('degradeRate').value = drift.degradeRate;
+    inputFor('degradeLimit').value = drift.degradeLimit;
+}
+
+// Function to check the form for a game with `numMachines` machines, showing any
+// problems under their fields. Valid settings are applied; returns whether they were.
+function validateDriftForm(numMachines) {
+    const drift = readDriftForm();
+    const errors = validateDrift(drift, numMachines);
+    
+    Object.keys(FIELDS).forEach(field => {
+        const messages = errors.filter(error => error.field === field).map(error => error.message);
+        inputFor(field).classList.toggle('invalid', messages.length > 0);
+        document.querySelector(`#drift-settings [data-error="${field}"]`).textContent = messages.join('. ');
+    });
+    inputFor('degradeMachine').max = numMachines;
+    
+    const summary = document.getElementById('drift-summary');
+    if (errors.length > 0) {
+        summary.textContent = '';
+        return false;
+    }
+    
+    // Only real changes are applied, as every change rebuilds the drift model
+    const settings = normalizeDrift(drift);
+    if (JSON.stringify(settings) !== JSON.stringify(getDriftSettings())) {
+        setDriftSettings(settings);
+    }
+    summary.textContent = `Hard mode: ${describeDrift(settings)}.`;
+    return true;
+}
+
+// Function to set up the panel; onInput runs whenever a setting is edited
+function initializeDriftPanel(onInput) {
+    const panel = document.getElementById('drift-settings');
+    if (!panel) return;
+    
+    panel.addEventListener('input', event => {
+        if (event.target.classList.contains('param-input')) {
+            onInput();
+        }
+    });
+    
+    // The settings only matter while hard mode is on
+    subscribe(GameEvents.HARD_MODE, ({ enabled }) => {
+        panel.classList.toggle('hidden', !enabled);
+    });
+}
+
+export { initializeDriftPanel, fillDriftForm, validateDriftForm };
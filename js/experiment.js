@@ -0,0 +1,303 @@
+// Headless Monte Carlo experiments
+//
+// Runs independent episodes of a fixed number of pulls for a set of strategies
+// on one machine configuration, using the same samplers and strategy classes
+// as interactive play but without touching the DOM.
+//
+// With hard-mode drift settings (options.drift) each episode swaps and drifts
+// the machines as the game would: swaps at change points or by chance, and mean
+// offsets from a drift model seeded per episode. Regret then uses every
+// machine's true mean at each pull, like the regret chart. Every strategy sees
+// the same swaps and offsets in a given episode.
+import {
+    getExpectedValue,
+    getExpectedRegret,
+    getRewardFamily,
+    findBestMachineIndex
+} from './distributions.js';
+import { createStrategy, StrategyRegistry } from './strategies.js';
+import { createRng } from './random.js';
+import { RewardTable } from './rewardTable.js';
+import { validateMachineConfigs } from './validation.js';
+import { permuteConfigs } from './machines.js';
+import {
+    normalizeDrift,
+    validateDrift,
+    hasMeanDrift,
+    isChangePoint,
+    DriftModel,
+    applyDrift,
+    getTrueMeans,
+    findBestMeanIndex
+} from './drift.js';
+
+const DEFAULT_CHECKPOINTS = 100;
+const PERCENTILES = [5, 25, 50, 75, 95];
+
+// Pull numbers at which cumulative regret is recorded (always ending at the horizon)
+function createCheckpoints(horizon, count = DEFAULT_CHECKPOINTS) {
+    const checkpoints = [];
+    const steps = Math.min(horizon, count);
+    for (let i = 1; i <= steps; i++) {
+        const pull = Math.round(i * horizon / steps);
+        if (pull !== checkpoints[checkpoints.length - 1]) {
+            checkpoints.push(pull);
+        }
+    }
+    return checkpoints;
+}
+
+// p-th percentile (0-100) of a sorted list, interpolating between ranks
+function percentile(sorted, p) {
+    if (sorted.length === 0) return NaN;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    // Equal or infinite neighbours (e.g. Pareto machines with an infinite mean) can't be interpolated
+    if (sorted[lower] === sorted[upper] || !Number.isFinite(sorted[lower]) || !Number.isFinite(sorted[upper])) {
+        return sorted[lower];
+    }
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Value of a checkpointed curve at any pull, interpolating linearly (0 at pull 0).
+// Returns null past the last checkpoint.
+function valueAtPull(checkpoints, values, pull) {
+    if (pull <= 0) return 0;
+    if (pull > checkpoints[checkpoints.length - 1]) return null;
+    
+    let i = 0;
+    while (checkpoints[i] < pull) i++;
+    if (checkpoints[i] === pull) return values[i];
+    
+    const previousPull = i > 0 ? checkpoints[i - 1] : 0;
+    const previousValue = i > 0 ? values[i - 1] : 0;
+    return previousValue + (values[i] - previousValue) * (pull - previousPull) / (checkpoints[i] - previousPull);
+}
+
+// Mean and percentiles of a list of values, ignoring undefined (NaN) ones
+function summarize(values) {
+    const sorted = Array.from(values).filter(value => !Number.isNaN(value)).sort((a, b) => a - b);
+    const summary = {
+        mean: sorted.length > 0 ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : NaN
+    };
+    PERCENTILES.forEach(p => {
+        summary[`p${p}`] = percentile(sorted, p);
+    });
+    return summary;
+}
+
+// Check experiment options; returns a list of readable messages
+function validateExperimentOptions(options) {
+    const errors = validateMachineConfigs(options.configs);
+    if (!Number.isInteger(options.episodes) || options.episodes < 1) {
+        errors.push('Episodes must be a whole number of at least 1');
+    }
+    if (!Number.isInteger(options.horizon) || options.horizon < 1) {
+        errors.push('Pulls per episode must be a whole number of at least 1');
+    }
+    if (!Array.isArray(options.strategyIds) || options.strategyIds.length === 0) {
+        errors.push('Choose at least one strategy');
+    } else {
+        options.strategyIds
+            .filter(id => !StrategyRegistry[id])
+            .forEach(id => errors.push(`Unknown strategy "${id}"`));
+    }
+    if (options.drift && Array.isArray(options.configs)) {
+        validateDrift(options.drift, options.configs.length)
+            .forEach(error => errors.push(`Drift: ${error.message}`));
+    }
+    return errors;
+}
+
+// An experiment runs one episode at a time so callers can report progress
+// between episodes and summarize partial results.
+class Experiment {
+    constructor(options) {
+        const errors = validateExperimentOptions(options);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+        
+        this.configs = options.configs;
+        this.strategyIds = options.strategyIds;
+        this.episodes = options.episodes;
+        this.horizon = options.horizon;
+        this.seed = String(options.seed);
+        this.checkpoints = createCheckpoints(this.horizon, options.checkpoints);
+        this.completedEpisodes = 0;
+        // Hard-mode drift settings, or null when the machines stay as they are
+        this.drift = options.drift ? normalizeDrift(options.drift) : null;
+        
+        const expectedValues = this.configs.map(getExpectedValue);
+        // With drift this is the best machine at the first pull
+        this.bestMachineIndex = this.drift
+            ? findBestMeanIndex(getTrueMeans(this.configs, this.createDriftModel(0).offsetsAt(0)))
+            : findBestMachineIndex(this.configs);
+        this.gaps = expectedValues.map(ev => getExpectedRegret(expectedValues[this.bestMachineIndex], ev));
+        this.families = this.configs.map(getRewardFamily);
+        
+        // Regret and reward are only kept at the checkpoints, one row per episode
+        this.runs = this.strategyIds.map(strategyId => ({
+            strategyId,
+            regret: new Float64Array(this.episodes * this.checkpoints.length),
+            reward: new Float64Array(this.episodes * this.checkpoints.length),
+            finalRewards: new Float64Array(this.episodes),
+            armCounts: new Array(this.configs.length).fill(0)
+        }));
+    }
+    
+    isDone() {
+        return this.completedEpisodes >= this.episodes;
+    }
+    
+    createDriftModel(episode) {
+        return new DriftModel(this.drift, `${this.seed}:experiment:${episode}`, this.configs.length);
+    }
+    
+    // Run the next episode for every strategy
+    runNextEpisode() {
+        if (this.isDone()) return;
+        this.runs.forEach(run => this.runEpisode(run, this.completedEpisodes));
+        this.completedEpisodes++;
+    }
+    
+    runEpisode(run, episode) {
+        // Every strategy reads the same per-episode reward table (common random numbers)
+        const rewardTable = new RewardTable(`${this.seed}:experiment:${episode}`);
+        const strategy = createStrategy(run.strategyId, this.configs.length, {
+            rng: createRng(`${this.seed}:experiment:${episode}:${run.strategyId}`),
+            families: this.families
+        });
+        
+        const offset = episode * this.checkpoints.length;
+        let nextCheckpoint = 0;
+        let cumulativeRegret = 0;
+        let totalReward = 0;
+        
+        // Swaps and offsets depend only on the episode, not on the strategy
+        const { drift } = this;
+        const swapRng = drift ? createRng(`${this.seed}:experiment:${episode}:swaps`) : null;
+        const driftModel = drift && hasMeanDrift(drift) ? this.createDriftModel(episode) : null;
+        let configs = this.configs;
+        
+        for (let pull = 1; pull <= this.horizon; pull++) {
+            const round = pull - 1;
+            const arm = strategy.selectArm();
+            let reward;
+            
+            if (drift) {
+                // Same order as a pull in the game: swap first, then drift
+                if (isChangePoint(drift, round) || swapRng() < drift.swapProbability) {
+                    configs = permuteConfigs(configs, swapRng);
+                }
+                const offsets = driftModel ? driftModel.offsetsAt(round) : null;
+                const drifted = applyDrift(configs[arm], offsets ? offsets[arm] : 0);
+                reward = rewardTable.getReward(round, drifted.config) + drifted.shift;
+                
+                const means = getTrueMeans(configs, offsets);
+                cumulativeRegret += getExpectedRegret(means[findBestMeanIndex(means)], means[arm]);
+            } else {
+                reward = rewardTable.getReward(round, this.configs[arm]);
+                cumulativeRegret += this.gaps[arm];
+            }
+            strategy.observe(arm, reward);
+            
+            run.armCounts[arm]++;
+            totalReward += reward;
+            
+            if (pull === this.checkpoints[nextCheckpoint]) {
+                run.regret[offset + nextCheckpoint] = cumulativeRegret;
+                run.reward[offset + nextCheckpoint] = totalReward;
+                nextCheckpoint++;
+            }
+        }
+        
+        run.finalRewards[episode] = totalReward;
+    }
+    
+    // Summary of the episodes completed so far
+    getResults() {
+        const episodes = this.completedEpisodes;
+        const numCheckpoints = this.checkpoints.length;
+        
+        return {
+            episodes,
+            horizon: this.horizon,
+            checkpoints: this.checkpoints.slice(),
+            bestMachineIndex: this.bestMachineIndex,
+            strategies: this.runs.map(run => {
+                // Bands: summarize each checkpoint across episodes
+                const summarizeCheckpoints = values => {
+                    const bands = { mean: [] };
+                    PERCENTILES.forEach(p => { bands[`p${p}`] = []; });
+                    for (let c = 0; c < numCheckpoints; c++) {
+                        const column = new Float64Array(episodes);
+                        for (let e = 0; e < episodes; e++) {
+                            column[e] = values[e * numCheckpoints + c];
+                        }
+                        const summary = summarize(column);
+                        Object.keys(bands).forEach(key => bands[key].push(summary[key]));
+                    }
+                    return bands;
+                };
+                
+                const totalPulls = episodes * this.horizon;
+                const finalRewards = Array.from(run.finalRewards.subarray(0, episodes));
+                
+                return {
+                    strategyId: run.strategyId,
+                    label: StrategyRegistry[run.strategyId].label,
+                    regret: summarizeCheckpoints(run.regret),
+                    reward: summarizeCheckpoints(run.reward),
+                    finalRewards,
+                    finalReward: summarize(finalRewards),
+                    armFrequencies: run.armCounts.map(count => (totalPulls > 0 ? count / totalPulls : 0))
+                };
+            })
+        };
+    }
+}
+
+// Columns of the per-checkpoint table produced by resultsToRows
+const RESULT_COLUMNS = ['strategy', 'pull']
+    .concat(['mean'].concat(PERCENTILES.map(p => `p${p}`)).map(stat => `regret_${stat}`))
+    .concat(['mean'].concat(PERCENTILES.map(p => `p${p}`)).map(stat => `reward_${stat}`));
+
+// Function to flatten results into one row per strategy and checkpoint
+function resultsToRows(results) {
+    const rows = [];
+    results.strategies.forEach(strategy => {
+        results.checkpoints.forEach((pull, c) => {
+            const row = { strategy: strategy.strategyId, pull };
+            Object.keys(strategy.regret).forEach(stat => {
+                row[`regret_${stat}`] = strategy.regret[stat][c];
+                row[`reward_${stat}`] = strategy.reward[stat][c];
+            });
+            rows.push(row);
+        });
+    });
+    return rows;
+}
+
+// Function to run a whole experiment at once; onProgress(completed, total) is called after each episode
+function runExperiment(options, onProgress) {
+    const experiment = new Experiment(options);
+    while (!experiment.isDone()) {
+        experiment.runNextEpisode();
+        if (onProgress) onProgress(experiment.completedEpisodes, experiment.episodes);
+    }
+    return experiment.getResults();
+}
+
+export {
+    Experiment,
+    PERCENTILES,
+    RESULT_COLUMNS,
+    runExperiment,
+    resultsToRows,
+    validateExperimentOptions,
+    createCheckpoints,
+    valueAtPull,
+    summarize
+};
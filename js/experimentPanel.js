@@ -0,0 +1,304 @@
+// Experiment panel: runs headless episodes for the configured machines and
+// shows mean cumulative regret with percentile bands, final reward
+// distributions and how often each strategy chose each machine.
+// Episodes run in a Web Worker; partial results are shown as they arrive and
+// are also overlaid on the payout and regret charts when the machines match.
+// With hard mode on, episodes swap and drift the machines using its settings.
+import { validateExperimentOptions } from './experiment.js';
+import { runSimulation } from './simulationClient.js';
+import { StrategyRegistry, DEFAULT_STRATEGY } from './strategies.js';
+import { getSeed } from './random.js';
+import { isHardModeEnabled, getDriftSettings } from './gameState.js';
+import { showSimulatedPayouts } from './chart.js';
+import { showSimulatedRegret } from './regretChart.js';
+
+// Viridis colors, one per strategy
+const STRATEGY_COLORS = ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725', '#482878', '#31688e', '#35b779'];
+
+let experimentChart = null;
+let activeSimulation = null;
+
+// Function to set up the panel; getMachineConfigs returns the form's configs or null
+function initializeExperimentPanel(getMachineConfigs) {
+    const strategyList = document.getElementById('experiment-strategies');
+    const runButton = document.getElementById('run-experiment');
+    const cancelButton = document.getElementById('cancel-experiment');
+    if (!strategyList || !runButton) return;
+    
+    // One checkbox per registered strategy; the default benchmark starts checked
+    strategyList.innerHTML += Object.keys(StrategyRegistry).map(id => `
+        <label class="strategy-option">
+            <input type="checkbox" value="${id}" ${id === DEFAULT_STRATEGY ? 'checked' : ''}>
+            ${StrategyRegistry[id].label}
+        </label>
+    `).join('');
+    
+    runButton.addEventListener('click', () => {
+        const configs = getMachineConfigs();
+        if (configs) {
+            startExperiment(configs);
+        }
+    });
+    
+    cancelButton.addEventListener('click', () => {
+        if (activeSimulation) {
+            activeSimulation.cancel();
+            document.getElementById('experiment-status').textContent = 'Cancelling…';
+        }
+    });
+}
+
+// Function to read the panel's inputs into experiment options
+function readExperimentOptions(configs) {
+    const seedInput = document.getElementById('seed');
+    return {
+        configs,
+        episodes: parseInt(document.getElementById('experiment-episodes').value),
+        horizon: parseInt(document.getElementById('experiment-horizon').value),
+        strategyIds: Array.from(document.querySelectorAll('#experiment-strategies input:checked'))
+            .map(input => input.value),
+        seed: (seedInput && seedInput.value.trim()) || getSeed(),
+        drift: isHardModeEnabled() ? getDriftSettings() : null
+    };
+}
+
+// Function to run an experiment in the simulation worker
+function startExperiment(configs) {
+    if (activeSimulation) return;
+    
+    const options = readExperimentOptions(configs);
+    const errors = validateExperimentOptions(options);
+    if (errors.length > 0) {
+        alert(`Cannot run the experiment:\n${errors.join('\n')}`);
+        return;
+    }
+    
+    const runButton = document.getElementById('run-experiment');
+    const cancelButton = document.getElementById('cancel-experiment');
+    const progress = document.getElementById('experiment-progress');
+    const status = document.getElementById('experiment-status');
+    
+    const setRunning = isRunning => {
+        runButton.disabled = isRunning;
+        cancelButton.classList.toggle('hidden', !isRunning);
+        progress.classList.toggle('hidden', !isRunning);
+    };
+    
+    const finish = (results, message) => {
+        activeSimulation = null;
+        setRunning(false);
+        status.textContent = message;
+        if (results && results.episodes > 0) {
+            showExperimentResults(results, configs);
+        }
+    };
+    
+    progress.max = options.episodes;
+    progress.value = 0;
+    status.textContent = 'Starting…';
+    setRunning(true);
+    
+    activeSimulation = runSimulation(options, {
+        onProgress: (completed, total) => {
+            progress.value = completed;
+            status.textContent = `Episode ${completed} of ${total}`;
+        },
+        onPartial: results => showExperimentResults(results, configs),
+        onDone: results => finish(results,
+            `Finished ${results.episodes} episodes of ${results.horizon} pulls (seed "${options.seed}")`),
+        onCancelled: results => finish(results,
+            `Cancelled after ${results.episodes} of ${options.episodes} episodes`),
+        onError: message => {
+            finish(null, '');
+            alert(`The experiment failed:\n${message}`);
+        }
+    });
+}
+
+// Function to display experiment results
+function showExperimentResults(results, configs) {
+    document.getElementById('experiment-results').classList.remove('hidden');
+    renderRegretBands(results);
+    renderSummaryTables(results, configs);
+    
+    // Stream the simulated averages into the game's charts too
+    showSimulatedPayouts(results, configs);
+    showSimulatedRegret(results, configs);
+}
+
+// Helper function to draw mean cumulative regret with a shaded 5th-95th percentile band
+function renderRegretBands(results) {
+    // Chart.js fills between a band's upper dataset and the lower one right after it
+    const datasets = [];
+    results.strategies.forEach((strategy, i) => {
+        const color = STRATEGY_COLORS[i % STRATEGY_COLORS.length];
+        datasets.push(
+            {
+                label: `${strategy.label} (95th percentile)`,
+                data: strategy.regret.p95.map(toPlotValue),
+                borderColor: 'transparent',
+                backgroundColor: `${color}30`,
+                pointRadius: 0,
+                fill: '+1'
+            },
+            {
+                label: `${strategy.label} (5th percentile)`,
+                data: strategy.regret.p5.map(toPlotValue),
+                borderColor: 'transparent',
+                pointRadius: 0,
+                fill: false
+            },
+            {
+                label: strategy.label,
+                data: strategy.regret.mean.map(toPlotValue),
+                borderColor: color,
+                backgroundColor: color,
+                borderWidth: 2,
+                pointRadius: 0,
+                fill: false
+            }
+        );
+    });
+    
+    const title = `Mean Cumulative Regret over ${results.episodes} Episodes (shaded: 5th-95th percentile)`;
+    
+    // Partial results for the same run update the chart in place
+    if (experimentChart && experimentChart.data.datasets.length === datasets.length) {
+        experimentChart.data.labels = results.checkpoints;
+        experimentChart.data.datasets.forEach((dataset, i) => {
+            dataset.label = datasets[i].label;
+            dataset.data = datasets[i].data;
+        });
+        experimentChart.options.plugins.title.text = title;
+        experimentChart.update();
+        return;
+    }
+    
+    if (experimentChart) {
+        experimentChart.destroy();
+        experimentChart = null;
+    }
+    
+    const ctx = document.getElementById('experiment-chart').getContext('2d');
+    experimentChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: results.checkpoints,
+            datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Number of Pulls'
+                    },
+                    ticks: {
+                        maxTicksLimit: 10
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Cumulative Regret'
+                    }
+                }
+            },
+            plugins: {
+                title: {
+                    display: true,
+                    text: title
+                },
+                legend: {
+                    labels: {
+                        boxWidth: 12,
+                        // Only the mean lines get legend entries
+                        filter: item => !item.text.endsWith('percentile)')
+                    }
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false
+                }
+            },
+            animation: {
+                duration: 0
+            }
+        }
+    });
+}
+
+// Chart.js can't plot infinite or undefined regret, so leave gaps
+function toPlotValue(value) {
+    return Number.isFinite(value) ? value : null;
+}
+
+function formatNumber(value) {
+    if (Number.isFinite(value)) return value.toFixed(2);
+    return Number.isNaN(value) ? '–' : (value > 0 ? '∞' : '-∞');
+}
+
+// Helper function to show final reward percentiles and arm-selection frequencies
+function renderSummaryTables(results, configs) {
+    const container = document.getElementById('experiment-summary');
+    const finalRegret = strategy => strategy.regret.mean[strategy.regret.mean.length - 1];
+    
+    container.innerHTML = `
+        <h3>Total Reward per Episode</h3>
+        <table class="estimates-table">
+            <thead>
+                <tr>
+                    <th>Strategy</th>
+                    <th>Mean</th>
+                    <th>5th</th>
+                    <th>25th</th>
+                    <th>Median</th>
+                    <th>75th</th>
+                    <th>95th</th>
+                    <th>Mean Regret</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${results.strategies.map(strategy => `
+                    <tr>
+                        <td>${strategy.label}</td>
+                        <td>${formatNumber(strategy.finalReward.mean)}</td>
+                        <td>${formatNumber(strategy.finalReward.p5)}</td>
+                        <td>${formatNumber(strategy.finalReward.p25)}</td>
+                        <td>${formatNumber(strategy.finalReward.p50)}</td>
+                        <td>${formatNumber(strategy.finalReward.p75)}</td>
+                        <td>${formatNumber(strategy.finalReward.p95)}</td>
+                        <td>${formatNumber(finalRegret(strategy))}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        
+        <h3>Share of Pulls per Machine</h3>
+        <table class="estimates-table">
+            <thead>
+                <tr>
+                    <th>Strategy</th>
+                    ${configs.map((config, i) => `
+                        <th class="${i === results.bestMachineIndex ? 'best-machine' : ''}">Machine ${i + 1}</th>
+                    `).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${results.strategies.map(strategy => `
+                    <tr>
+                        <td>${strategy.label}</td>
+                        ${strategy.armFrequencies.map((frequency, i) => `
+                            <td class="${i === results.bestMachineIndex ? 'best-machine' : ''}">${(frequency * 100).toFixed(1)}%</td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="seed-info">The highlighted column is the machine with the highest expected payout.</p>
+    `;
+}
+
+export { initializeExperimentPanel };
@@ -0,0 +1,246 @@
+// Central game state
+//
+// The single source of truth for the game in progress: machine configurations,
+// hard mode, the pull history and per-machine statistics. Other modules read it
+// through the getters below and react to changes by subscribing to events:
+//
+//   'reset'              {}                                    - the previous game was cleared
+//   'machines-generated' { configs, seed }                     - a new game started
+//   'pull'               pull record (see recordPull)          - the player pulled a lever
+//   'strategy-step'      { pull, strategyId, machineId, payout, estimates }
+//                                                              - the benchmark played its round
+//   'permutation'        { pull, before, after }               - hard mode swapped the machines
+//   'hard-mode'          { enabled }                           - hard mode was switched on or off
+//   'drift'              { drift }                             - the hard-mode drift settings changed
+//   'game-ended'         { pulls, permutations }               - the player ended the game
+//
+// Listeners receive the event detail and the event type. A listener that throws
+// is logged and skipped so it can't break the game for everyone else.
+import { cloneConfigs } from './machines.js';
+import { DEFAULT_DRIFT, normalizeDrift } from './drift.js';
+
+const GameEvents = Object.freeze({
+    RESET: 'reset',
+    MACHINES_GENERATED: 'machines-generated',
+    PULL: 'pull',
+    STRATEGY_STEP: 'strategy-step',
+    PERMUTATION: 'permutation',
+    HARD_MODE: 'hard-mode',
+    DRIFT: 'drift',
+    GAME_ENDED: 'game-ended'
+});
+
+// Subscribe with '*' to receive every event
+const ALL_EVENTS = '*';
+
+const listeners = new Map();
+
+const state = {
+    seed: null,
+    originalConfigs: [],
+    currentConfigs: [],
+    hardMode: false,
+    drift: normalizeDrift(DEFAULT_DRIFT),
+    pulls: [],
+    permutations: [],
+    machineStats: {},
+    ended: false
+};
+
+// Function to listen for an event type; returns a function that unsubscribes
+function subscribe(type, listener) {
+    if (type !== ALL_EVENTS && !Object.values(GameEvents).includes(type)) {
+        throw new Error(`Unknown game event "${type}"`);
+    }
+    if (!listeners.has(type)) {
+        listeners.set(type, new Set());
+    }
+    listeners.get(type).add(listener);
+    return () => listeners.get(type).delete(listener);
+}
+
+function emit(type, detail) {
+    [type, ALL_EVENTS].forEach(key => {
+        (listeners.get(key) || []).forEach(listener => {
+            try {
+                listener(detail, type);
+            } catch (error) {
+                console.error(`Error in "${type}" listener:`, error);
+            }
+        });
+    });
+}
+
+// Function to clear the game in progress (hard mode and drift are settings and are kept)
+function resetGame() {
+    state.seed = null;
+    state.originalConfigs = [];
+    state.currentConfigs = [];
+    state.pulls = [];
+    state.permutations = [];
+    state.machineStats = {};
+    state.ended = false;
+    emit(GameEvents.RESET, {});
+}
+
+// Function to start a game with the given machines and seed
+function startGame(configs, seed) {
+    state.seed = seed;
+    state.originalConfigs = cloneConfigs(configs);
+    state.currentConfigs = cloneConfigs(configs);
+    state.pulls = [];
+    state.permutations = [];
+    state.machineStats = {};
+    state.ended = false;
+    configs.forEach(config => {
+        state.machineStats[config.id] = { pulls: 0, totalPayout: 0, payouts: [] };
+    });
+    emit(GameEvents.MACHINES_GENERATED, { configs: cloneConfigs(configs), seed });
+}
+
+function setHardMode(enabled) {
+    state.hardMode = Boolean(enabled);
+    emit(GameEvents.HARD_MODE, { enabled: state.hardMode });
+}
+
+// Function to change how hard mode makes the machines drift (see drift.js);
+// the settings must already have been validated
+function setDriftSettings(drift) {
+    state.drift = normalizeDrift(drift);
+    emit(GameEvents.DRIFT, { drift: getDriftSettings() });
+}
+
+function getDriftSettings() {
+    return { ...state.drift, changePoints: state.drift.changePoints.slice() };
+}
+
+// Function to replace the current configs after a hard-mode swap
+function applyPermutation(configs) {
+    const before = state.currentConfigs;
+    state.currentConfigs = cloneConfigs(configs);
+    const permutation = { pull: state.pulls.length, before, after: cloneConfigs(configs) };
+    state.permutations.push(permutation);
+    emit(GameEvents.PERMUTATION, permutation);
+}
+
+// Function to announce the benchmark's move for the pull in progress
+function recordStrategyStep(step) {
+    emit(GameEvents.STRATEGY_STEP, { pull: state.pulls.length + 1, ...step });
+}
+
+// Function to record a lever pull. The record holds:
+//   pull         - 1-based pull number
+//   machineId    - machine the player pulled
+//   payout       - the player's payout
+//   roundRewards - every machine's reward this round (from the reward table)
+//   offsets      - how far drift moves each machine's mean this round (0 without
+//                  drift); getTrueMeans gives the resulting true means
+//   benchmark    - { strategyId, machineId, payout } for the benchmark's move
+function recordPull({ machineId, payout, roundRewards, offsets, benchmark }) {
+    const record = Object.freeze({
+        pull: state.pulls.length + 1,
+        machineId,
+        payout,
+        roundRewards: Object.freeze(roundRewards.slice()),
+        offsets: Object.freeze(offsets ? offsets.slice() : roundRewards.map(() => 0)),
+        benchmark: Object.freeze({ ...benchmark })
+    });
+    state.pulls.push(record);
+    
+    const stats = state.machineStats[machineId];
+    stats.pulls++;
+    stats.totalPayout += payout;
+    stats.payouts.push(payout);
+    
+    emit(GameEvents.PULL, record);
+    return record;
+}
+
+// Function to end the game in progress; hard-mode swaps are revealed from then on
+function endGame() {
+    if (state.ended || state.currentConfigs.length === 0) return;
+    state.ended = true;
+    emit(GameEvents.GAME_ENDED, { pulls: state.pulls.length, permutations: state.permutations.slice() });
+}
+
+function isGameEnded() {
+    return state.ended;
+}
+
+function getTotalPulls() {
+    return state.pulls.length;
+}
+
+function getGameSeed() {
+    return state.seed;
+}
+
+function isHardModeEnabled() {
+    return state.hardMode;
+}
+
+function getOriginalConfigs() {
+    return cloneConfigs(state.originalConfigs);
+}
+
+function getCurrentConfigs() {
+    return cloneConfigs(state.currentConfigs);
+}
+
+// Pull records in order (the records themselves are frozen)
+function getPullHistory() {
+    return state.pulls.slice();
+}
+
+// The latest pull record (records are frozen), or null before the first pull
+function getLastPull() {
+    return state.pulls.length > 0 ? state.pulls[state.pulls.length - 1] : null;
+}
+
+// Hard-mode swaps in order; each applies from the pull after `pull`
+function getPermutationHistory() {
+    return state.permutations.slice();
+}
+
+// Pulls and total payout of one machine
+function getMachineStats(machineId) {
+    const stats = state.machineStats[machineId];
+    return stats ? { pulls: stats.pulls, totalPayout: stats.totalPayout } : null;
+}
+
+// Every payout the player received from one machine, in order
+function getMachinePayouts(machineId) {
+    const stats = state.machineStats[machineId];
+    return stats ? stats.payouts.slice() : [];
+}
+
+// Total payout across all machines
+function getTotalPayout() {
+    return Object.values(state.machineStats).reduce((total, stats) => total + stats.totalPayout, 0);
+}
+
+export {
+    GameEvents,
+    subscribe,
+    resetGame,
+    startGame,
+    setHardMode,
+    setDriftSettings,
+    getDriftSettings,
+    applyPermutation,
+    recordStrategyStep,
+    recordPull,
+    endGame,
+    isGameEnded,
+    getTotalPulls,
+    getGameSeed,
+    isHardModeEnabled,
+    getOriginalConfigs,
+    getCurrentConfigs,
+    getPullHistory,
+    getLastPull,
+    getPermutationHistory,
+    getMachineStats,
+    getMachinePayouts,
+    getTotalPayout
+};
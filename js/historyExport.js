@@ -0,0 +1,99 @@
+// CSV rows for a played session: one row per pull, or one row per machine
+//
+// Both take a session as returned by createSession() in session.js, so they work
+// on the game in progress and on imported sessions alike.
+import { getExpectedRegret, formatParameters } from './distributions.js';
+import { getTrueMeans, findBestMeanIndex } from './drift.js';
+
+const PULL_COLUMNS = [
+    'pull',
+    'machine',
+    'payout',
+    'benchmark_strategy',
+    'benchmark_machine',
+    'benchmark_payout',
+    'cumulative_regret',
+    'benchmark_cumulative_regret',
+    'permuted'
+];
+
+const SUMMARY_COLUMNS = [
+    'machine',
+    'distribution',
+    'parameters',
+    'expected_value',
+    'pulls',
+    'total_payout',
+    'mean_payout',
+    'variance'
+];
+
+// Function to build one row per pull. Regret is pseudo-regret (the gap in expected
+// value to the best machine) using the machines in effect at that pull and their
+// drift that round, and `permuted` is 1 when hard mode swapped the machines just
+// before it.
+function pullHistoryRows(session) {
+    const permutations = session.permutations.slice();
+    let configs = session.originalConfigs;
+    let regret = 0;
+    let benchmarkRegret = 0;
+    
+    return session.pulls.map(record => {
+        let permuted = false;
+        while (permutations.length > 0 && permutations[0].pull < record.pull) {
+            configs = permutations.shift().after;
+            permuted = true;
+        }
+        
+        const means = getTrueMeans(configs, record.offsets);
+        const bestEV = means[findBestMeanIndex(means)];
+        regret += getExpectedRegret(bestEV, means[record.machineId]);
+        benchmarkRegret += getExpectedRegret(bestEV, means[record.benchmark.machineId]);
+        
+        // Machines are numbered from 1, as on screen
+        return {
+            pull: record.pull,
+            machine: record.machineId + 1,
+            payout: record.payout,
+            benchmark_strategy: record.benchmark.strategyId,
+            benchmark_machine: record.benchmark.machineId + 1,
+            benchmark_payout: record.benchmark.payout,
+            cumulative_regret: regret,
+            benchmark_cumulative_regret: benchmarkRegret,
+            permuted: permuted ? 1 : 0
+        };
+    });
+}
+
+// Function to build one row per machine with the player's payouts from it. The
+// distribution and expected value are those of the machine's current configuration
+// (with the drift of the last pull).
+function machineSummaryRows(session) {
+    const lastPull = session.pulls[session.pulls.length - 1];
+    const means = getTrueMeans(session.currentConfigs, lastPull ? lastPull.offsets : null);
+    
+    return session.currentConfigs.map(config => {
+        const payouts = session.pulls
+            .filter(record => record.machineId === config.id)
+            .map(record => record.payout);
+        const total = payouts.reduce((sum, payout) => sum + payout, 0);
+        const mean = payouts.length > 0 ? total / payouts.length : NaN;
+        // Sample variance (n - 1), which needs at least two payouts
+        const variance = payouts.length > 1
+            ? payouts.reduce((sum, payout) => sum + (payout - mean) ** 2, 0) / (payouts.length - 1)
+            : NaN;
+        
+        return {
+            machine: config.id + 1,
+            distribution: config.distribution,
+            parameters: formatParameters(config.distribution, config.parameters),
+            expected_value: means[config.id],
+            pulls: payouts.length,
+            total_payout: total,
+            mean_payout: mean,
+            variance
+        };
+    });
+}
+
+export { PULL_COLUMNS, SUMMARY_COLUMNS, pullHistoryRows, machineSummaryRows };
@@ -0,0 +1,269 @@
+// Per-machine payout histograms, drawn with D3 in each machine's stats panel
+//
+// Observed payouts are compared with the machine's true distribution: a density
+// curve for continuous distributions, and the probability of each payout for
+// discrete ones. Histograms update as levers are pulled while the panel is open.
+// The true distribution isn't drawn in shared play mode, where it is hidden.
+// With hard-mode drift it is the distribution as of the latest pull. Hard-mode
+// swaps stay secret until the game ends, so until then each machine is compared
+// with the distribution it started with.
+import { DistributionRegistry, isDiscrete } from './distributions.js';
+import { applyDrift } from './drift.js';
+import {
+    GameEvents,
+    subscribe,
+    getOriginalConfigs,
+    getCurrentConfigs,
+    getMachinePayouts,
+    getLastPull,
+    isGameEnded
+} from './gameState.js';
+import { createRenderScheduler } from './chartHistory.js';
+
+const WIDTH = 220;
+const HEIGHT = 140;
+const MARGIN = { top: 8, right: 8, bottom: 22, left: 34 };
+
+// Discrete machines with more payout values than this are binned like continuous ones
+const MAX_BARS = 40;
+// Points the density curve is drawn through
+const CURVE_POINTS = 100;
+
+const OBSERVED_COLOR = '#3b528b';
+const TRUE_COLOR = '#440154';
+
+// Machines whose histogram needs redrawing on the next frame
+const pendingMachines = new Set();
+// Support of each machine's distribution by id, with the distribution it was found for
+const supportCache = new Map();
+const scheduleRender = createRenderScheduler(() => {
+    pendingMachines.forEach(renderMachineHistogram);
+    pendingMachines.clear();
+});
+
+function isStatsVisible(machineId) {
+    const statsElement = document.getElementById(`stats-${machineId}`);
+    return Boolean(statsElement) && statsElement.style.display === 'block';
+}
+
+function isDistributionHidden() {
+    const container = document.getElementById('machines-container');
+    return Boolean(container) && container.classList.contains('distributions-hidden');
+}
+
+// Function to get a machine's true distribution as of the latest pull: drift either
+// changes its parameters or shifts its payouts by a fixed amount (see applyDrift)
+function trueDistribution(config) {
+    const lastPull = getLastPull();
+    const drifted = applyDrift(config, lastPull ? lastPull.offsets[config.id] : 0);
+    const { parameters } = drifted.config;
+    const { shift } = drifted;
+    const distribution = DistributionRegistry[config.distribution];
+    return {
+        id: config.id,
+        key: JSON.stringify([config.distribution, parameters, shift]),
+        density: value => distribution.density(value - shift, parameters),
+        cdf: value => distribution.cdf(value - shift, parameters),
+        quantile: p => distribution.quantile(p, parameters) + shift
+    };
+}
+
+// Payout values the distribution can take with non-negligible probability,
+// found once per machine and distribution
+function discreteSupport(truth) {
+    const cached = supportCache.get(truth.id);
+    if (cached && cached.key === truth.key) {
+        return cached.values;
+    }
+    
+    const values = new Set();
+    for (let i = 1; i < 1000; i++) {
+        values.add(truth.quantile(i / 1000));
+    }
+    supportCache.set(truth.id, { key: truth.key, values });
+    return values;
+}
+
+// Range shown for a continuous machine: the central 99% of the true distribution
+// (so heavy tails don't squash the plot), or the observed range when hidden
+function continuousDomain(truth, payouts, showTruth) {
+    if (showTruth) {
+        const low = truth.quantile(0.005);
+        const high = truth.quantile(0.995);
+        if (Number.isFinite(low) && Number.isFinite(high) && high > low) {
+            return [low, high];
+        }
+    }
+    const [low, high] = d3.extent(payouts);
+    return low === high ? [low - 1, high + 1] : [low, high];
+}
+
+// Function to draw one machine's histogram into its stats panel
+function renderMachineHistogram(machineId) {
+    const container = document.getElementById(`histogram-${machineId}`);
+    const configs = isGameEnded() ? getCurrentConfigs() : getOriginalConfigs();
+    const config = configs.find(machine => machine.id === machineId);
+    if (!container || !config || typeof d3 === 'undefined') return;
+    
+    const payouts = getMachinePayouts(machineId);
+    container.innerHTML = '';
+    if (payouts.length === 0) {
+        container.innerHTML = '<p class="histogram-note">No pulls yet</p>';
+        return;
+    }
+    
+    const truth = trueDistribution(config);
+    const discrete = isDiscrete(config);
+    const showTruth = !isDistributionHidden();
+    const svg = d3.select(container).append('svg')
+        .attr('viewBox', `0 0 ${WIDTH} ${HEIGHT}`)
+        .attr('class', 'histogram');
+    const plot = svg.append('g').attr('transform', `translate(${MARGIN.left},${MARGIN.top})`);
+    const width = WIDTH - MARGIN.left - MARGIN.right;
+    const height = HEIGHT - MARGIN.top - MARGIN.bottom;
+    
+    let note = `${payouts.length} payout${payouts.length === 1 ? '' : 's'}`;
+    if (discrete) {
+        const values = new Set(payouts);
+        if (showTruth) {
+            discreteSupport(truth).forEach(value => values.add(value));
+        }
+        if (values.size <= MAX_BARS) {
+            drawBars(plot, width, height, Array.from(values).sort((a, b) => a - b), payouts, truth, showTruth);
+        } else {
+            note += drawBins(plot, width, height, payouts, truth, discrete, showTruth);
+        }
+    } else {
+        note += drawBins(plot, width, height, payouts, truth, discrete, showTruth);
+    }
+    
+    if (showTruth) {
+        note += discrete ? ' · dots: true probability' : ' · line: true density';
+    }
+    d3.select(container).append('p').attr('class', 'histogram-note').text(note);
+}
+
+// Bar per payout value: share of pulls, with the true probability as a dot
+function drawBars(plot, width, height, values, payouts, truth, showTruth) {
+    const counts = d3.rollup(payouts, group => group.length, value => value);
+    const observed = values.map(value => (counts.get(value) || 0) / payouts.length);
+    const expected = showTruth ? values.map(truth.density) : [];
+    
+    const x = d3.scaleBand().domain(values).range([0, width]).padding(0.1);
+    const y = d3.scaleLinear().domain([0, d3.max([...observed, ...expected])]).nice().range([height, 0]);
+    
+    plot.selectAll('rect')
+        .data(values)
+        .join('rect')
+        .attr('x', value => x(value))
+        .attr('y', (value, i) => y(observed[i]))
+        .attr('width', x.bandwidth())
+        .attr('height', (value, i) => height - y(observed[i]))
+        .attr('fill', OBSERVED_COLOR)
+        .attr('fill-opacity', 0.6);
+    
+    if (showTruth) {
+        plot.selectAll('circle')
+            .data(values)
+            .join('circle')
+            .attr('cx', value => x(value) + x.bandwidth() / 2)
+            .attr('cy', (value, i) => y(expected[i]))
+            .attr('r', 2.5)
+            .attr('fill', TRUE_COLOR);
+    }
+    
+    // Label at most about eight values so the axis stays readable
+    const step = Math.ceil(values.length / 8);
+    plot.append('g')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x).tickValues(values.filter((value, i) => i % step === 0)).tickFormat(d3.format('~g')));
+    plot.append('g').call(d3.axisLeft(y).ticks(4).tickFormat(d3.format('.0%')));
+}
+
+// Histogram of payouts as a density (or as shares of pulls for discrete machines),
+// with the true density curve or bin probabilities. Returns a note about payouts
+// outside the range shown.
+function drawBins(plot, width, height, payouts, truth, discrete, showTruth) {
+    const domain = continuousDomain(truth, payouts, showTruth);
+    const x = d3.scaleLinear().domain(domain).range([0, width]);
+    const binCount = Math.min(30, Math.max(5, Math.ceil(Math.sqrt(payouts.length))));
+    const bins = d3.bin().domain(x.domain()).thresholds(x.ticks(binCount))(payouts);
+    
+    // Continuous machines are shown as densities so the histogram matches the curve
+    const heightOf = bin => discrete
+        ? bin.length / payouts.length
+        : bin.length / (payouts.length * Math.max(bin.x1 - bin.x0, 1e-12));
+    
+    let expected = [];
+    if (showTruth && discrete) {
+        // Probability of landing in each bin, from the CDF
+        expected = bins.map(bin => ({
+            x: (bin.x0 + bin.x1) / 2,
+            y: truth.cdf(bin.x1 - 1e-9) - truth.cdf(bin.x0 - 1e-9)
+        }));
+    } else if (showTruth) {
+        expected = d3.range(CURVE_POINTS + 1).map(i => {
+            const value = domain[0] + (i / CURVE_POINTS) * (domain[1] - domain[0]);
+            return { x: value, y: truth.density(value) };
+        }).filter(point => Number.isFinite(point.y));
+    }
+    
+    const y = d3.scaleLinear()
+        .domain([0, d3.max([...bins.map(heightOf), ...expected.map(point => point.y)])])
+        .nice()
+        .range([height, 0]);
+    
+    plot.selectAll('rect')
+        .data(bins)
+        .join('rect')
+        .attr('x', bin => x(bin.x0) + 0.5)
+        .attr('y', bin => y(heightOf(bin)))
+        .attr('width', bin => Math.max(0, x(bin.x1) - x(bin.x0) - 1))
+        .attr('height', bin => height - y(heightOf(bin)))
+        .attr('fill', OBSERVED_COLOR)
+        .attr('fill-opacity', 0.6);
+    
+    if (showTruth && discrete) {
+        plot.selectAll('circle')
+            .data(expected)
+            .join('circle')
+            .attr('cx', point => x(point.x))
+            .attr('cy', point => y(point.y))
+            .attr('r', 2.5)
+            .attr('fill', TRUE_COLOR);
+    } else if (showTruth) {
+        plot.append('path')
+            .datum(expected)
+            .attr('fill', 'none')
+            .attr('stroke', TRUE_COLOR)
+            .attr('stroke-width', 1.5)
+            .attr('d', d3.line().x(point => x(point.x)).y(point => y(point.y)));
+    }
+    
+    plot.append('g')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x).ticks(5).tickFormat(d3.format('~g')));
+    plot.append('g').call(d3.axisLeft(y).ticks(4).tickFormat(d3.format('~g')));
+    
+    const outside = payouts.filter(payout => payout < domain[0] || payout > domain[1]).length;
+    return outside > 0 ? ` (${outside} outside the range shown)` : '';
+}
+
+// Redraw open histograms as the game changes
+subscribe(GameEvents.PULL, ({ machineId }) => {
+    if (isStatsVisible(machineId)) {
+        pendingMachines.add(machineId);
+        scheduleRender();
+    }
+});
+// Ending the game reveals the machines now in play
+subscribe(GameEvents.GAME_ENDED, () => {
+    getCurrentConfigs().forEach(config => {
+        if (isStatsVisible(config.id)) {
+            pendingMachines.add(config.id);
+        }
+    });
+    scheduleRender();
+});
+
+export { renderMachineHistogram };
@@ -0,0 +1,65 @@
+// Machine configuration helpers that don't touch the DOM
+//
+// A machine config is { id, distribution, parameters }, where id is the
+// machine's position (0-based) and parameters follow the distribution's schema.
+import { random, randomInt } from './random.js';
+
+// Chance per pull that hard mode swaps the machines' distributions
+const HARD_MODE_SWAP_PROBABILITY = 0.05;
+
+// Deep copy of a list of configs
+function cloneConfigs(configs) {
+    return JSON.parse(JSON.stringify(configs));
+}
+
+// Helper to check if two parameter sets are equal (arrays or custom definitions)
+function parametersEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function sameMachine(a, b) {
+    return a.distribution === b.distribution && parametersEqual(a.parameters, b.parameters);
+}
+
+// Fill in missing ids from each machine's position (for hand-written scenario files)
+function normalizeConfigs(configs) {
+    return configs.map((config, index) => ({
+        id: config.id === undefined ? index : config.id,
+        distribution: config.distribution,
+        parameters: config.parameters
+    }));
+}
+
+// Function to shuffle which machine has which distribution (the ids stay in place).
+// Returns a new list that differs from the original whenever that is possible.
+function permuteConfigs(configs, rng = random) {
+    const canChange = configs.some(config => !sameMachine(config, configs[0]));
+    
+    let shuffled;
+    do {
+        shuffled = cloneConfigs(configs);
+        
+        // Fisher-Yates shuffle of the configurations
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = randomInt(i + 1, rng);
+            
+            // Only swap the distribution and parameters, not the IDs
+            [shuffled[i].distribution, shuffled[j].distribution] =
+                [shuffled[j].distribution, shuffled[i].distribution];
+            
+            [shuffled[i].parameters, shuffled[j].parameters] =
+                [shuffled[j].parameters, shuffled[i].parameters];
+        }
+    } while (canChange && shuffled.every((config, i) => sameMachine(config, configs[i])));
+    
+    return shuffled;
+}
+
+export {
+    HARD_MODE_SWAP_PROBABILITY,
+    cloneConfigs,
+    parametersEqual,
+    sameMachine,
+    normalizeConfigs,
+    permuteConfigs
+};
@@ -0,0 +1,212 @@
+// Special functions and numeric helpers used by the distribution registry
+
+const EPSILON = 1e-14;
+const TINY = 1e-300;
+const MAX_ITERATIONS = 500;
+
+// Lanczos coefficients (g = 7, n = 9)
+const LANCZOS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+// Natural log of the gamma function
+function logGamma(x) {
+    if (x < 0.5) {
+        // Reflection formula
+        return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+    }
+    x -= 1;
+    let sum = LANCZOS[0];
+    for (let i = 1; i < LANCZOS.length; i++) {
+        sum += LANCZOS[i] / (x + i);
+    }
+    const t = x + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Regularized lower incomplete gamma function P(a, x)
+function regularizedGammaP(a, x) {
+    if (x <= 0) return 0;
+    if (!Number.isFinite(x)) return 1;
+
+    const logPrefix = -x + a * Math.log(x) - logGamma(a);
+    // Both expansions need O(sqrt(a)) terms when x is close to a large a
+    const maxIterations = Math.max(MAX_ITERATIONS, Math.ceil(20 * Math.sqrt(a)));
+
+    if (x < a + 1) {
+        // Series representation
+        let term = 1 / a;
+        let sum = term;
+        let ap = a;
+        for (let n = 0; n < maxIterations; n++) {
+            ap++;
+            term *= x / ap;
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * EPSILON) break;
+        }
+        return Math.min(1, sum * Math.exp(logPrefix));
+    }
+
+    // Continued fraction for Q(a, x), evaluated with Lentz's method
+    let b = x + 1 - a;
+    let c = 1 / TINY;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < maxIterations; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < TINY) d = TINY;
+        c = b + an / c;
+        if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < EPSILON) break;
+    }
+    return Math.max(0, 1 - Math.exp(logPrefix) * h);
+}
+
+// Continued fraction for the incomplete beta function (modified Lentz's method)
+function betaContinuedFraction(x, a, b) {
+    const qab = a + b;
+    const qap = a + 1;
+    const qam = a - 1;
+    let c = 1;
+    let d = 1 - qab * x / qap;
+    if (Math.abs(d) < TINY) d = TINY;
+    d = 1 / d;
+    let h = d;
+
+    for (let m = 1; m <= MAX_ITERATIONS; m++) {
+        const m2 = 2 * m;
+
+        // Even step
+        let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < TINY) d = TINY;
+        c = 1 + aa / c;
+        if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        h *= d * c;
+
+        // Odd step
+        aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < TINY) d = TINY;
+        c = 1 + aa / c;
+        if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < EPSILON) break;
+    }
+    return h;
+}
+
+// Regularized incomplete beta function I_x(a, b)
+function regularizedBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    const logFront = logGamma(a + b) - logGamma(a) - logGamma(b) +
+        a * Math.log(x) + b * Math.log(1 - x);
+
+    // Use the symmetry relation where the continued fraction converges faster
+    if (x < (a + 1) / (a + b + 2)) {
+        return Math.exp(logFront) * betaContinuedFraction(x, a, b) / a;
+    }
+    return 1 - Math.exp(logFront) * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+// x * log(y), taking 0 * log(0) as 0
+function xLogY(x, y) {
+    return x === 0 ? 0 : x * Math.log(y);
+}
+
+// Standard normal CDF, via erf(z) = P(1/2, z^2)
+function normalCdf(z) {
+    if (z === 0) return 0.5;
+    const half = 0.5 * regularizedGammaP(0.5, z * z / 2);
+    return z > 0 ? 0.5 + half : 0.5 - half;
+}
+
+// Standard normal quantile (Acklam's approximation plus one Halley step)
+function normalQuantile(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687,
+        138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866,
+        66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838,
+        -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996,
+        3.754408661907416];
+    const pLow = 0.02425;
+
+    let x;
+    if (p < pLow) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    } else if (p <= 1 - pLow) {
+        const q = p - 0.5;
+        const r = q * q;
+        x = (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    } else {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        x = -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    // Refine with one step of Halley's method
+    const e = normalCdf(x) - p;
+    const u = e * Math.sqrt(2 * Math.PI) * Math.exp(x * x / 2);
+    return x - u / (1 + x * u / 2);
+}
+
+// Invert a continuous CDF by bisection, growing the bracket if it is unbounded
+function invertCdf(cdf, p, lower = -Infinity, upper = Infinity) {
+    if (p <= 0) return lower;
+    if (p >= 1) return upper;
+
+    let lo = Number.isFinite(lower) ? lower : -1;
+    let hi = Number.isFinite(upper) ? upper : 1;
+    while (!Number.isFinite(lower) && cdf(lo) > p) lo *= 2;
+    while (!Number.isFinite(upper) && cdf(hi) < p) hi *= 2;
+
+    for (let i = 0; i < 200 && hi - lo > 1e-12 * Math.max(1, Math.abs(lo)); i++) {
+        const mid = (lo + hi) / 2;
+        if (cdf(mid) < p) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+    return (lo + hi) / 2;
+}
+
+// Smallest integer k >= lower with cdf(k) >= p, searching from a starting guess
+function invertDiscreteCdf(cdf, p, start = 0, lower = 0) {
+    if (p <= 0) return lower;
+    let k = Math.max(lower, Math.floor(start));
+    while (k > lower && cdf(k - 1) >= p) k--;
+    while (cdf(k) < p) k++;
+    return k;
+}
+
+export {
+    logGamma,
+    regularizedGammaP,
+    regularizedBeta,
+    xLogY,
+    normalCdf,
+    normalQuantile,
+    invertCdf,
+    invertDiscreteCdf
+};
@@ -1,101 +1,94 @@
-export default OptimalStrategy;
+// Benchmark ("optimal") strategy that plays alongside the user
+//
+// The strategy itself comes from the registry in strategies.js; this module
+// keeps the instance for the current game and which one the user picked.
+import { createStrategy, StrategyRegistry, DEFAULT_STRATEGY } from './strategies.js';
+import { createRng, getSeed } from './random.js';
+import { getRewardFamily } from './distributions.js';
+import { GameEvents, subscribe, recordStrategyStep } from './gameState.js';
 
-function OptimalStrategy(slotMachines) {
-    this.slotMachines = slotMachines;
-    this.totalPayout = 0;
-    this.totalPlays = 0;
-    this.optimalMachineIndex = 0;
-}
+let benchmarkStrategyId = DEFAULT_STRATEGY;
+let benchmarkStrategy = null;
+// Strategy of the game in progress (the selection only applies to the next game)
+let activeStrategyId = null;
 
-OptimalStrategy.prototype.sampleFromMachines = function(numSamples) {
-    for (let i = 0; i < numSamples; i++) {
-        const machineIndex = this.selectMachine();
-        const payout = this.slotMachines[machineIndex].spin();
-        this.totalPayout += payout;
-        this.totalPlays++;
-        this.updateOptimalMachine(machineIndex);
+// Function to choose which strategy the next game is benchmarked against
+function setBenchmarkStrategyId(strategyId) {
+    if (!StrategyRegistry[strategyId]) {
+        console.error(`Unknown benchmark strategy "${strategyId}"`);
+        return;
     }
-};
-
-OptimalStrategy.prototype.selectMachine = function() {
-    // Implement a strategy to select a machine based on past performance
-    // For simplicity, we can use a random selection for now
-    return Math.floor(Math.random() * this.slotMachines.length);
-};
+    benchmarkStrategyId = strategyId;
+}
 
-OptimalStrategy.prototype.updateOptimalMachine = function(machineIndex) {
-    // Logic to update the optimal machine based on performance
-    // This could be based on the highest average payout or other criteria
-    if (this.slotMachines[machineIndex].averagePayout > this.slotMachines[this.optimalMachineIndex].averagePayout) {
-        this.optimalMachineIndex = machineIndex;
-    }
-};
+function getBenchmarkStrategyId() {
+    return benchmarkStrategyId;
+}
 
-OptimalStrategy.prototype.getTotalPayout = function() {
-    return this.totalPayout;
-};
+function getActiveBenchmarkId() {
+    return activeStrategyId;
+}
 
-OptimalStrategy.prototype.getOptimalMachineIndex = function() {
-    return this.optimalMachineIndex;
-};
+function getBenchmarkLabel() {
+    return StrategyRegistry[benchmarkStrategyId].label;
+}
 
-// Implements an optimal strategy for multi-armed bandit problem
+// Function to create a fresh benchmark for the given machine configurations
+function initializeOptimalStrategy(configs) {
+    benchmarkStrategy = createStrategy(benchmarkStrategyId, configs.length, {
+        // A separate stream keeps the user's payouts independent of the benchmark's choices
+        rng: createRng(`${getSeed()}:benchmark`),
+        families: configs.map(getRewardFamily)
+    });
+    activeStrategyId = benchmarkStrategyId;
+    console.log(`Benchmark strategy initialized: ${getBenchmarkLabel()}`);
+}
 
-let optimalMachineEstimates = [];
+// Function to get the machine the benchmark pulls this round
+function selectOptimalMachine() {
+    return benchmarkStrategy ? benchmarkStrategy.selectArm() : 0;
+}
 
-function initializeOptimalStrategy(configs) {
-    // Initialize estimates for each machine
-    optimalMachineEstimates = configs.map(config => ({
-        id: config.id,
-        pulls: 0,
-        totalPayout: 0,
-        mean: 0,
-        ucb: Infinity // Upper Confidence Bound
-    }));
+// Function to feed the benchmark the payout from the machine it pulled
+function observeOptimalReward(machineId, payout) {
+    if (benchmarkStrategy) {
+        benchmarkStrategy.observe(machineId, payout);
+    }
 }
 
-function getOptimalStrategyPayout() {
-    // If no pulls have been made yet, return 0
-    if (totalPulls === 0) return 0;
-    
-    // Find machine with highest UCB
-    let bestMachineId = 0;
-    let bestUCB = -Infinity;
-    
-    optimalMachineEstimates.forEach((machine, index) => {
-        // Update UCB for each machine
-        if (machine.pulls > 0) {
-            // UCB1 algorithm
-            const exploration = Math.sqrt(2 * Math.log(totalPulls) / machine.pulls);
-            machine.ucb = machine.mean + exploration;
-        } else {
-            machine.ucb = Infinity; // Unexplored machines have infinite potential
-        }
-        
-        if (machine.ucb > bestUCB) {
-            bestUCB = machine.ucb;
-            bestMachineId = machine.id;
-        }
-    });
-    
-    // Simulate pulling the lever of the best machine
-    const bestMachine = machineConfigs.find(config => config.id === bestMachineId);
-    const payout = Distributions.sample(bestMachine.distribution, bestMachine.parameters);
-    
-    // Update estimates for the selected machine
-    const machineEstimate = optimalMachineEstimates.find(m => m.id === bestMachineId);
-    machineEstimate.pulls++;
-    machineEstimate.totalPayout += Math.max(0, payout);
-    machineEstimate.mean = machineEstimate.totalPayout / machineEstimate.pulls;
-    
-    // Calculate overall optimal strategy performance
-    let totalOptimalPayouts = 0;
-    let totalOptimalPulls = 0;
-    
-    optimalMachineEstimates.forEach(machine => {
-        totalOptimalPayouts += machine.totalPayout;
-        totalOptimalPulls += machine.pulls;
-    });
+// Function to play the benchmark's move for this round: it pulls a machine, gets
+// that machine's reward from the same round as the player and learns from it
+function playOptimalRound(roundRewards) {
+    const machineId = selectOptimalMachine();
+    const payout = roundRewards[machineId];
+    observeOptimalReward(machineId, payout);
     
-    return totalOptimalPulls > 0 ? totalOptimalPayouts / totalOptimalPulls : 0;
-}
\ No newline at end of file
+    const step = { strategyId: benchmarkStrategyId, machineId, payout };
+    recordStrategyStep({ ...step, estimates: getOptimalEstimates() });
+    return step;
+}
+
+// Function to get the benchmark's per-machine estimates for display
+function getOptimalEstimates() {
+    return benchmarkStrategy ? benchmarkStrategy.getEstimates() : [];
+}
+
+function resetOptimalStrategy() {
+    benchmarkStrategy = null;
+    activeStrategyId = null;
+}
+
+subscribe(GameEvents.RESET, resetOptimalStrategy);
+
+export {
+    setBenchmarkStrategyId,
+    getBenchmarkStrategyId,
+    getActiveBenchmarkId,
+    getBenchmarkLabel,
+    initializeOptimalStrategy,
+    selectOptimalMachine,
+    observeOptimalReward,
+    playOptimalRound,
+    getOptimalEstimates,
+    resetOptimalStrategy
+};
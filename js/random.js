@@ -0,0 +1,87 @@
+// Seedable pseudo-random number generation
+//
+// Every sample, shuffle and random machine draws from a stream created here
+// instead of Math.random(), so a session can be reproduced from its seed.
+
+// Hash any number of seed parts (strings or numbers) into a 32-bit integer
+function hashSeed(...parts) {
+    const text = parts.map(part => String(part)).join(':');
+    let h = 1779033703 ^ text.length;
+    for (let i = 0; i < text.length; i++) {
+        h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+// Create an independent stream (Mulberry32) that returns floats in [0, 1)
+function createRng(seed) {
+    let state = hashSeed(seed);
+
+    const next = function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    next.getState = () => state;
+    next.setState = (value) => { state = value >>> 0; };
+
+    return next;
+}
+
+// Generate a fresh seed when the user doesn't supply one
+function generateSeed() {
+    return Math.floor(Math.random() * 1e9).toString(36);
+}
+
+// Shared stream used by the game
+let currentSeed = generateSeed();
+let sharedRng = createRng(currentSeed);
+
+// Function to reseed the shared stream
+function setSeed(seed) {
+    currentSeed = String(seed);
+    sharedRng = createRng(currentSeed);
+    return currentSeed;
+}
+
+function getSeed() {
+    return currentSeed;
+}
+
+// Next value from the shared stream in [0, 1)
+function random() {
+    return sharedRng();
+}
+
+// State of the shared stream, saved with a session so hard-mode swaps carry on
+// where they left off after it is resumed
+function getRandomState() {
+    return sharedRng.getState();
+}
+
+function setRandomState(value) {
+    sharedRng.setState(value);
+}
+
+// Random integer in [0, n)
+function randomInt(n, rng = random) {
+    return Math.floor(rng() * n);
+}
+
+export {
+    random,
+    randomInt,
+    setSeed,
+    getSeed,
+    generateSeed,
+    getRandomState,
+    setRandomState,
+    createRng,
+    hashSeed
+};
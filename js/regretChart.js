@@ -1,11 +1,50 @@
-import { machineData, totalPulls } from './slotMachine.js';
-import { Distributions } from './distributions.js';
+import {
+    getExpectedValue,
+    getExpectedRegret,
+    getVariance,
+    getRewardFamily,
+    findBestMachineIndex
+} from './distributions.js';
+import { KLDivergence } from './strategies.js';
+import { getTrueMeans, findBestMeanIndex } from './drift.js';
+import { valueAtPull } from './experiment.js';
+import { GameEvents, subscribe, getPermutationHistory } from './gameState.js';
+import {
+    SeriesBuffer,
+    buildVisiblePoints,
+    createZoomOptions,
+    updateZoomLimits,
+    fitAll,
+    swapLinesPlugin,
+    showSwapLines,
+    createRenderScheduler
+} from './chartHistory.js';
 
 let regretChart = null;
 let machineConfigs = [];
+// Machines in play, which differ from machineConfigs after a hard-mode swap
+let currentConfigs = [];
 let userCumulativeRegret = 0;
 let optimalCumulativeRegret = 0;
+let userRealizedRegret = 0;
+let optimalRealizedRegret = 0;
 let bestMachineIndex = -1;
+let simulatedCurves = []; // Mean cumulative regret per strategy from the experiment panel
+// Cumulative regret after every pull: pseudo-regret (yours, the benchmark's),
+// then realized regret (yours, the benchmark's)
+let regretSeries = [];
+// Coefficients of the theoretical bounds for the machines in play (see computeRegretBounds)
+let regretBounds = null;
+
+// 'pseudo' (gap in expected value) or 'realized' (gap in actual payout); kept between games
+let regretType = 'pseudo';
+let showBounds = true;
+
+// Your regret, the benchmark's, then the two bounds; simulated averages follow
+const BASE_DATASETS = 4;
+
+// Colors for simulated averages, which follow the two main datasets
+const SIMULATED_COLORS = ['#3b528b', '#5ec962', '#482878', '#35b779', '#31688e'];
 
 // Function to reset/destroy the regret chart
 function resetRegretChart() {
@@ -18,8 +57,14 @@ function resetRegretChart() {
     // Reset data
     userCumulativeRegret = 0;
     optimalCumulativeRegret = 0;
+    userRealizedRegret = 0;
+    optimalRealizedRegret = 0;
     bestMachineIndex = -1;
     machineConfigs = [];
+    currentConfigs = [];
+    simulatedCurves = [];
+    regretSeries = [];
+    regretBounds = null;
 }
 
 // Initialize the regret chart
@@ -28,21 +73,31 @@ function initializeRegretChart(configs) {
     resetRegretChart();
     
     machineConfigs = configs;
+    currentConfigs = configs;
     
     // Determine best machine based on expected value
     determineBestMachine();
     
+    regretSeries = [new SeriesBuffer(), new SeriesBuffer(), new SeriesBuffer(), new SeriesBuffer()];
+    regretSeries.forEach(series => series.push(0));
+    regretBounds = computeRegretBounds(machineConfigs, bestMachineIndex);
+    
+    // Heavy-tailed machines can make expected regret infinite or undefined
+    const undefinedRegretNote = describeUndefinedRegret();
+    
     const ctx = document.getElementById('regret-chart').getContext('2d');
     
     // Define the viridis colors explicitly
     const YOUR_COLOR = '#440154'; // Dark purple
     const OPTIMAL_COLOR = '#21918c'; // Teal
+    const LOWER_BOUND_COLOR = '#fde725'; // Yellow
+    const UPPER_BOUND_COLOR = '#d32f2f';
     
     // Create datasets for user and optimal strategy regret with updated colors
     const datasets = [
         {
             label: 'Your Cumulative Regret',
-            data: [0],
+            data: [{ x: 0, y: 0 }],
             borderColor: YOUR_COLOR,
             backgroundColor: `${YOUR_COLOR}20`, // 20 is hex for 12% opacity
             fill: false,
@@ -51,12 +106,36 @@ function initializeRegretChart(configs) {
         },
         {
             label: 'Optimal Strategy Regret',
-            data: [0],
+            data: [{ x: 0, y: 0 }],
             borderColor: OPTIMAL_COLOR,
             backgroundColor: `${OPTIMAL_COLOR}20`,
             fill: false,
             borderWidth: 3,
             tension: 0.1
+        },
+        {
+            label: Number.isFinite(regretBounds.laiRobbins)
+                ? 'Lai-Robbins Lower Bound (asymptotic)'
+                : 'Lai-Robbins Lower Bound (undefined for these machines)',
+            data: [],
+            borderColor: LOWER_BOUND_COLOR,
+            fill: false,
+            borderDash: [6, 4],
+            borderWidth: 2,
+            pointRadius: 0,
+            hidden: !showBounds
+        },
+        {
+            label: Number.isFinite(regretBounds.ucb1Log)
+                ? 'UCB1 Upper Bound (payouts in [0, 1])'
+                : 'UCB1 Upper Bound (undefined for these machines)',
+            data: [],
+            borderColor: UPPER_BOUND_COLOR,
+            fill: false,
+            borderDash: [6, 4],
+            borderWidth: 2,
+            pointRadius: 0,
+            hidden: !showBounds
         }
     ];
     
@@ -64,8 +143,13 @@ function initializeRegretChart(configs) {
     const options = {
         responsive: true,
         maintainAspectRatio: false,
+        // Points are already {x, y} pairs, downsampled from the full history
+        parsing: false,
+        normalized: true,
         scales: {
             x: {
+                type: 'linear',
+                min: 0,
                 title: {
                     display: true,
                     text: 'Number of Pulls'
@@ -77,20 +161,28 @@ function initializeRegretChart(configs) {
             y: {
                 title: {
                     display: true,
-                    text: 'Cumulative Regret'
+                    text: regretAxisTitle()
                 },
-                min: 0 // Regret should never be negative
+                // Realized regret goes negative when luck beats the best machine
+                beginAtZero: true
             }
         },
         plugins: {
             title: {
                 display: true,
-                text: 'Cumulative Regret Analysis'
+                text: regretTitle()
+            },
+            subtitle: {
+                display: undefinedRegretNote !== '',
+                text: undefinedRegretNote
             },
             tooltip: {
                 mode: 'index',
                 intersect: false
             },
+            zoom: createZoomOptions(renderRegretChart),
+            // Hard-mode swaps, filled in when the game ends
+            swapLines: { pulls: [] },
             legend: {
                 display: true,
                 position: 'top'
@@ -99,6 +191,12 @@ function initializeRegretChart(configs) {
         animation: {
             duration: 0 // Disable animation for better performance
         },
+        elements: {
+            point: {
+                // Hide points once the line is dense
+                radius: context => context.dataset.data.length > 200 ? 0 : 3
+            }
+        },
         // Add responsive resizing
         onResize: function(chart, size) {
             // This ensures the chart renders properly when container becomes visible
@@ -111,8 +209,8 @@ function initializeRegretChart(configs) {
     // Create the chart with updated options
     regretChart = new Chart(ctx, {
         type: 'line',
+        plugins: [swapLinesPlugin],
         data: {
-            labels: [0], // Start with pull 0
             datasets: datasets
         },
         options: options
@@ -122,124 +220,240 @@ function initializeRegretChart(configs) {
     window.addEventListener('resize', function() {
         if (regretChart) {
             regretChart.resize();
+            // Pulls made while the chart was hidden are drawn once it is shown
+            scheduleRender();
         }
     });
 }
 
-// Function to determine the best machine based on expected value
+// Function to determine the best machine based on expected value, for the machines in play
 function determineBestMachine() {
-    let highestEV = -Infinity;
-    
-    machineConfigs.forEach((config, index) => {
-        let ev = 0;
-        switch(config.distribution) {
-            case 'normal':
-                ev = config.parameters[0]; // Mean
-                break;
-            case 'uniform':
-                ev = (config.parameters[0] + config.parameters[1]) / 2; // (min + max) / 2
-                break;
-            case 'exponential':
-                ev = 1 / config.parameters[0]; // 1 / rate
-                break;
-            case 'poisson':
-                ev = config.parameters[0]; // lambda
-                break;
-            case 'chi-squared':
-                ev = config.parameters[0]; // degrees of freedom
-                break;
-            case 'bernoulli':
-                ev = config.parameters[0]; // p (directly the success probability)
-                break;
+    bestMachineIndex = findBestMachineIndex(currentConfigs);
+}
+
+// Function to follow a hard-mode swap: regret from the next pull on is measured
+// against the machine that is best after it
+function applyRegretPermutation({ after }) {
+    currentConfigs = after;
+    determineBestMachine();
+    regretBounds = computeRegretBounds(currentConfigs, bestMachineIndex);
+}
+
+// Function to work out the theoretical bounds on expected cumulative regret after
+// n pulls, as coefficients of ln n (plus a constant for UCB1):
+//   Lai-Robbins (1985): any consistent strategy eventually has regret of at least
+//     sum over worse machines of gap / KL(machine, best machine) * ln n
+//   UCB1 (Auer et al., 2002), for payouts in [0, 1]:
+//     sum over worse machines of 8 ln n / gap, plus (1 + pi^2 / 3) * sum of gaps
+// A coefficient is NaN when a gap or divergence is infinite or undefined.
+function computeRegretBounds(configs, bestIndex) {
+    const bounds = { laiRobbins: 0, ucb1Log: 0, ucb1Constant: 0 };
+    if (bestIndex === -1) {
+        return { laiRobbins: NaN, ucb1Log: NaN, ucb1Constant: NaN };
+    }
+    
+    const best = configs[bestIndex];
+    const bestEV = getExpectedValue(best);
+    configs.forEach(config => {
+        const gap = getExpectedRegret(bestEV, getExpectedValue(config));
+        if (gap === 0) return;
+        if (!(gap > 0 && Number.isFinite(gap))) {
+            bounds.laiRobbins = bounds.ucb1Log = bounds.ucb1Constant = NaN;
+            return;
         }
         
-        if (ev > highestEV) {
-            highestEV = ev;
-            bestMachineIndex = index;
-        }
+        const divergence = armDivergence(config, best);
+        bounds.laiRobbins += divergence > 0 && Number.isFinite(divergence) ? gap / divergence : NaN;
+        bounds.ucb1Log += 8 / gap;
+        bounds.ucb1Constant += (1 + Math.PI * Math.PI / 3) * gap;
     });
+    return bounds;
 }
 
-// Calculate expected value for a given machine
-function getExpectedValue(machine) {
-    switch(machine.distribution) {
-        case 'normal':
-            return machine.parameters[0]; // Mean
-        case 'uniform':
-            return (machine.parameters[0] + machine.parameters[1]) / 2; // (min + max) / 2
-        case 'exponential':
-            return 1 / machine.parameters[0]; // 1 / rate
-        case 'poisson':
-            return machine.parameters[0]; // lambda
-        case 'chi-squared':
-            return machine.parameters[0]; // degrees of freedom
-        case 'bernoulli':
-            return machine.parameters[0]; // p (directly the success probability)
-        default:
-            return 0;
+// KL divergence from a machine's payouts to the best machine's. Machines of the
+// same one-parameter family use its exact divergence; anything else is treated
+// as Gaussian with the machine's own variance.
+function armDivergence(config, best) {
+    const family = getRewardFamily(config);
+    const mean = getExpectedValue(config);
+    const bestMean = getExpectedValue(best);
+    if (family && family !== 'gaussian' && family === getRewardFamily(best) && KLDivergence[family]) {
+        return KLDivergence[family](mean, bestMean);
     }
+    return KLDivergence.gaussian(mean, bestMean, getVariance(config));
 }
 
-// Update the regret chart after each pull
-function updateRegretChart(machinePulled, optimalMachineId) {
+// Function to get the bound values at a pull (null where they don't apply)
+function boundsAtPull(pull) {
+    if (pull < 1) return [0, 0];
+    const log = Math.log(pull);
+    return [
+        toPlotValue(regretBounds.laiRobbins * log),
+        toPlotValue(regretBounds.ucb1Log * log + regretBounds.ucb1Constant)
+    ];
+}
+
+function regretTitle() {
+    return regretType === 'realized' ? 'Cumulative Realized Regret Analysis' : 'Cumulative Pseudo-Regret Analysis';
+}
+
+function regretAxisTitle() {
+    return regretType === 'realized' ? 'Cumulative Realized Regret' : 'Cumulative Pseudo-Regret';
+}
+
+// Explain why regret can't be plotted when a machine's mean is infinite or undefined
+function describeUndefinedRegret() {
+    const machineList = configs => configs.map(config => `Machine ${config.id + 1}`).join(', ');
+    const infinite = machineConfigs.filter(config => getExpectedValue(config) === Infinity);
+    const undefinedMean = machineConfigs.filter(config => Number.isNaN(getExpectedValue(config)));
+    
+    if (infinite.length > 0) {
+        return `${machineList(infinite)} has an infinite expected payout, so pulling any other machine adds infinite regret`;
+    }
+    if (undefinedMean.length > 0) {
+        return `${machineList(undefinedMean)} has no expected value, so regret is undefined once it is pulled`;
+    }
+    return '';
+}
+
+// Infinite or undefined regret is left as a gap in the chart
+function toPlotValue(value) {
+    return Number.isFinite(value) ? value : null;
+}
+
+// Update the regret chart after each pull (a 'pull' record from the game state)
+function updateRegretChart(record) {
     if (!regretChart || bestMachineIndex === -1) return;
     
-    // Get the best machine's expected value
-    const bestMachine = machineConfigs[bestMachineIndex];
-    const bestEV = getExpectedValue(bestMachine);
+    const { machineId: machinePulled, roundRewards, offsets, benchmark } = record;
     
-    // Get pulled machine's expected value
-    const pulledMachine = machineConfigs.find(m => m.id === parseInt(machinePulled));
-    const pulledEV = getExpectedValue(pulledMachine);
+    // True means this round: expected values of the machines in play, moved by any drift
+    const means = getTrueMeans(currentConfigs, offsets);
+    bestMachineIndex = findBestMeanIndex(means);
     
-    // Get optimal machine's expected value
-    const optimalMachine = machineConfigs.find(m => m.id === optimalMachineId);
-    const optimalEV = getExpectedValue(optimalMachine);
+    const bestEV = means[bestMachineIndex];
+    const pulledEV = means[machinePulled];
+    const optimalEV = means[benchmark.machineId];
     
-    // Calculate regret (difference between best possible EV and chosen machine's EV)
-    // Using expected values ensures consistency in regret calculation
-    const userRegret = Math.max(0, bestEV - pulledEV);
-    const optimalRegret = Math.max(0, bestEV - optimalEV);
+    // Pseudo-regret: difference between the best machine's EV and the chosen machine's EV
+    userCumulativeRegret += getExpectedRegret(bestEV, pulledEV);
+    optimalCumulativeRegret += getExpectedRegret(bestEV, optimalEV);
     
-    // Accumulate regret
-    userCumulativeRegret += userRegret;
-    optimalCumulativeRegret += optimalRegret;
+    // Realized regret: what the best machine paid this round (from the reward table)
+    // minus what was actually received, so it can go negative with lucky pulls
+    const bestPayout = roundRewards[bestMachineIndex];
+    userRealizedRegret += bestPayout - record.payout;
+    optimalRealizedRegret += bestPayout - benchmark.payout;
     
-    // Limit the number of data points to prevent chart from becoming too large
-    const maxDataPoints = 100;
+    // Keep the whole history; only the part in view is drawn
+    regretSeries[0].push(toPlotValue(userCumulativeRegret));
+    regretSeries[1].push(toPlotValue(optimalCumulativeRegret));
+    regretSeries[2].push(toPlotValue(userRealizedRegret));
+    regretSeries[3].push(toPlotValue(optimalRealizedRegret));
     
-    // Update labels (number of pulls)
-    regretChart.data.labels.push(totalPulls);
+    scheduleRender();
+}
+
+// Function to draw the pulls in view, downsampled to the chart's width
+function renderRegretChart() {
+    if (!regretChart) return;
     
-    // Keep only the last maxDataPoints
-    if (regretChart.data.labels.length > maxDataPoints) {
-        regretChart.data.labels = regretChart.data.labels.slice(-maxDataPoints);
-    }
+    // Only update the visual chart if it's visible
+    const regretChartContainer = document.getElementById('regret-chart-container');
+    if (regretChartContainer.classList.contains('hidden')) return;
     
-    // Update user regret dataset (index 0)
-    regretChart.data.datasets[0].data.push(userCumulativeRegret);
+    const shownSeries = regretType === 'realized' ? regretSeries.slice(2, 4) : regretSeries.slice(0, 2);
+    const { pulls, points } = buildVisiblePoints(regretChart, shownSeries);
+    points.forEach((data, i) => {
+        regretChart.data.datasets[i].data = data;
+    });
     
-    // Keep only the last maxDataPoints
-    if (regretChart.data.datasets[0].data.length > maxDataPoints) {
-        regretChart.data.datasets[0].data = regretChart.data.datasets[0].data.slice(-maxDataPoints);
-    }
+    // The bounds and simulated averages are drawn at the same pulls
+    const bounds = pulls.map(boundsAtPull);
+    regretChart.data.datasets[2].data = pulls.map((pull, i) => ({ x: pull, y: bounds[i][0] }));
+    regretChart.data.datasets[3].data = pulls.map((pull, i) => ({ x: pull, y: bounds[i][1] }));
+    simulatedCurves.forEach((curve, i) => {
+        regretChart.data.datasets[BASE_DATASETS + i].data = pulls.map(pull => ({
+            x: pull,
+            y: toPlotValue(valueAtPull(curve.checkpoints, curve.values, pull))
+        }));
+    });
+    
+    updateZoomLimits(regretChart, regretSeries[0].length);
+    regretChart.update('none');
+}
+
+const scheduleRender = createRenderScheduler(renderRegretChart);
+
+// Function to zoom back out to the whole history
+function fitRegretChart() {
+    fitAll(regretChart);
+    renderRegretChart();
+}
+
+// Function to switch between pseudo-regret ('pseudo') and realized regret ('realized')
+function setRegretType(type) {
+    regretType = type === 'realized' ? 'realized' : 'pseudo';
+    if (!regretChart) return;
     
-    // Update optimal strategy regret dataset (index 1)
-    regretChart.data.datasets[1].data.push(optimalCumulativeRegret);
+    regretChart.options.plugins.title.text = regretTitle();
+    regretChart.options.scales.y.title.text = regretAxisTitle();
+    renderRegretChart();
+}
+
+// Function to show or hide the theoretical bound overlays
+function setRegretBoundsVisible(visible) {
+    showBounds = Boolean(visible);
+    if (!regretChart) return;
     
-    // Keep only the last maxDataPoints
-    if (regretChart.data.datasets[1].data.length > maxDataPoints) {
-        regretChart.data.datasets[1].data = regretChart.data.datasets[1].data.slice(-maxDataPoints);
-    }
+    regretChart.data.datasets[2].hidden = !showBounds;
+    regretChart.data.datasets[3].hidden = !showBounds;
+    renderRegretChart();
+}
+
+// Function to overlay the mean cumulative regret of simulated strategies (from
+// the experiment panel) when they were run on the machines currently in play
+function showSimulatedRegret(results, configs) {
+    if (!regretChart || JSON.stringify(configs) !== JSON.stringify(machineConfigs)) return;
     
-    // Only update the visual chart if it's visible
-    const regretChartContainer = document.getElementById('regret-chart-container');
-    if (!regretChartContainer.classList.contains('hidden')) {
-        regretChart.update();
-    }
+    simulatedCurves = results.strategies.map(strategy => ({
+        label: `${strategy.label} (simulated mean of ${results.episodes})`,
+        checkpoints: results.checkpoints,
+        values: strategy.regret.mean
+    }));
     
-    // Log regret for debugging
-    console.log(`Pull ${totalPulls} Regret - User: ${userRegret.toFixed(2)} (Total: ${userCumulativeRegret.toFixed(2)}), Optimal: ${optimalRegret.toFixed(2)} (Total: ${optimalCumulativeRegret.toFixed(2)})`);
+    regretChart.data.datasets = regretChart.data.datasets.slice(0, BASE_DATASETS).concat(
+        simulatedCurves.map((curve, i) => ({
+            label: curve.label,
+            data: [],
+            borderColor: SIMULATED_COLORS[i % SIMULATED_COLORS.length],
+            fill: false,
+            borderDash: [2, 3],
+            borderWidth: 1.5,
+            pointRadius: 0,
+            tension: 0.1
+        }))
+    );
+    renderRegretChart();
 }
 
-export { initializeRegretChart, updateRegretChart, resetRegretChart };
+// The regret chart follows the game state
+subscribe(GameEvents.RESET, resetRegretChart);
+subscribe(GameEvents.MACHINES_GENERATED, ({ configs }) => initializeRegretChart(configs));
+subscribe(GameEvents.PULL, updateRegretChart);
+subscribe(GameEvents.PERMUTATION, applyRegretPermutation);
+// Swaps stay secret until the game is over
+subscribe(GameEvents.GAME_ENDED, () => {
+    showSwapLines(regretChart, getPermutationHistory());
+    scheduleRender();
+});
+
+export {
+    initializeRegretChart,
+    updateRegretChart,
+    resetRegretChart,
+    fitRegretChart,
+    showSimulatedRegret,
+    setRegretType,
+    setRegretBoundsVisible
+};
@@ -0,0 +1,215 @@
+// Replay panel: steps, plays or scrubs through the session that was just played
+//
+// The game state is rebuilt to the chosen pull by replaying the recorded pulls,
+// so the machine displays and both charts show exactly what they showed then.
+// Stepping forward replays one more pull; going back rebuilds from the start.
+// Leaving the replay rebuilds the whole session so play can carry on.
+import { createSession, replaySession, pauseAutosave } from './session.js';
+import { setPullsLocked } from './slotMachine.js';
+import { setSeed, setRandomState } from './random.js';
+import { getBenchmarkStrategyId, setBenchmarkStrategyId } from './optimalStrategy.js';
+import { GameEvents, subscribe, getTotalPulls, endGame, isGameEnded } from './gameState.js';
+
+// Pulls per second when playing
+const REPLAY_SPEEDS = [1, 2, 5, 10, 25];
+
+// { session, timer, ended } while a replay is active (ended: the game had been ended)
+let replay = null;
+let startGame = null;
+// Set while the replay itself restarts the game, so that isn't mistaken for a new game
+let rebuilding = false;
+
+// Function to set up the panel; startNewGame(configs, seed) builds the machines for a game
+function initializeReplayPanel(startNewGame) {
+    startGame = startNewGame;
+    
+    const speedSelect = document.getElementById('replay-speed');
+    speedSelect.innerHTML = REPLAY_SPEEDS
+        .map(speed => `<option value="${speed}">${speed} pull${speed === 1 ? '' : 's'}/s</option>`)
+        .join('');
+    speedSelect.value = 5;
+    
+    document.getElementById('start-replay').addEventListener('click', startReplay);
+    document.getElementById('exit-replay').addEventListener('click', exitReplay);
+    document.getElementById('replay-back').addEventListener('click', () => showPull(getTotalPulls() - 1));
+    document.getElementById('replay-forward').addEventListener('click', () => showPull(getTotalPulls() + 1));
+    document.getElementById('replay-play').addEventListener('click', togglePlayback);
+    document.getElementById('replay-scrubber').addEventListener('input', function() {
+        stopPlayback();
+        showPull(parseInt(this.value));
+    });
+    speedSelect.addEventListener('change', () => {
+        if (replay && replay.timer !== null) {
+            stopPlayback();
+            startPlayback();
+        }
+    });
+    
+    // Generating or loading another game ends the replay
+    subscribe(GameEvents.MACHINES_GENERATED, () => {
+        if (replay && !rebuilding) {
+            closeReplay();
+        }
+    });
+}
+
+// Function to start replaying the game in progress from its first pull
+function startReplay() {
+    const session = createSession();
+    if (!session || session.pulls.length === 0) {
+        alert('Pull some levers before replaying a session.');
+        return;
+    }
+    
+    pauseAutosave(true);
+    replay = { session, timer: null, ended: isGameEnded() };
+    
+    const scrubber = document.getElementById('replay-scrubber');
+    scrubber.max = session.pulls.length;
+    renderPermutationMarks(session);
+    document.getElementById('replay-controls').classList.remove('hidden');
+    document.getElementById('start-replay').disabled = true;
+    document.getElementById('machines-container').classList.add('replaying');
+    setPullsLocked(true);
+    
+    showPull(0);
+}
+
+// Function to restart the recorded game (with its own seed and benchmark)
+function rebuildGame() {
+    const { session } = replay;
+    const selectedStrategyId = getBenchmarkStrategyId();
+    
+    rebuilding = true;
+    setSeed(session.seed);
+    setBenchmarkStrategyId(session.benchmarkStrategyId);
+    startGame(session.originalConfigs, session.seed);
+    // The benchmark picked in the form still applies to the next new game
+    setBenchmarkStrategyId(selectedStrategyId);
+    rebuilding = false;
+}
+
+// Function to show the game as it was after `pull` pulls
+function showPull(pull) {
+    if (!replay) return;
+    
+    const { session } = replay;
+    const target = Math.max(0, Math.min(pull, session.pulls.length));
+    const current = getTotalPulls();
+    if (target < current || target === 0) {
+        rebuildGame();
+        replaySession(session, 0, target);
+    } else if (target > current) {
+        replaySession(session, current, target);
+    }
+    
+    if (target > 0 && target === current + 1) {
+        flashMachine(session.pulls[target - 1].machineId);
+    }
+    updateReplayStatus(target);
+    
+    if (target === session.pulls.length) {
+        stopPlayback();
+    }
+}
+
+// Briefly highlight the machine pulled in the step just shown
+function flashMachine(machineId) {
+    const resultElement = document.getElementById(`result-${machineId}`);
+    const machineElement = resultElement && resultElement.closest('.slot-machine');
+    if (!machineElement) return;
+    
+    machineElement.classList.add('machine-clicked');
+    setTimeout(() => {
+        machineElement.classList.remove('machine-clicked');
+    }, 200);
+}
+
+function updateReplayStatus(pull) {
+    const { session } = replay;
+    const record = session.pulls[pull - 1];
+    // A swap recorded at pull n happened just before pull n + 1
+    const swapped = pull > 0 && session.permutations.some(permutation => permutation.pull === pull - 1);
+    
+    document.getElementById('replay-scrubber').value = pull;
+    document.getElementById('replay-back').disabled = pull === 0;
+    document.getElementById('replay-forward').disabled = pull === session.pulls.length;
+    
+    let text = `Pull ${pull} of ${session.pulls.length}`;
+    if (record) {
+        text += `: you pulled Machine ${record.machineId + 1} for ${record.payout.toFixed(2)}, ` +
+            `the benchmark pulled Machine ${record.benchmark.machineId + 1} for ${record.benchmark.payout.toFixed(2)}`;
+    }
+    if (swapped) {
+        text += '. Hard mode swapped the machines before this pull';
+    }
+    document.getElementById('replay-status').textContent = text;
+}
+
+// Function to mark hard-mode swaps along the scrubber
+function renderPermutationMarks(session) {
+    const marks = document.getElementById('replay-marks');
+    const total = session.pulls.length;
+    marks.innerHTML = session.permutations.map(permutation => {
+        const position = (permutation.pull / total) * 100;
+        return `<span class="replay-mark" style="left: ${position}%" title="Swap after pull ${permutation.pull}"></span>`;
+    }).join('');
+}
+
+function startPlayback() {
+    const speed = parseInt(document.getElementById('replay-speed').value);
+    // Playing from the end starts again from the beginning
+    if (getTotalPulls() === replay.session.pulls.length) {
+        showPull(0);
+    }
+    replay.timer = setInterval(() => showPull(getTotalPulls() + 1), 1000 / speed);
+    document.getElementById('replay-play').textContent = 'Pause';
+}
+
+function stopPlayback() {
+    if (!replay || replay.timer === null) return;
+    clearInterval(replay.timer);
+    replay.timer = null;
+    document.getElementById('replay-play').textContent = 'Play';
+}
+
+function togglePlayback() {
+    if (!replay) return;
+    if (replay.timer === null) {
+        startPlayback();
+    } else {
+        stopPlayback();
+    }
+}
+
+// Function to leave the replay and return to the end of the recorded game
+function exitReplay() {
+    if (!replay) return;
+    
+    stopPlayback();
+    const { session } = replay;
+    showPull(session.pulls.length);
+    
+    // Carry on with the same hard-mode swaps as before the replay
+    if (session.randomState !== undefined) {
+        setRandomState(session.randomState);
+    }
+    // A game that had been ended stays over
+    if (replay.ended) {
+        endGame();
+    }
+    closeReplay();
+}
+
+function closeReplay() {
+    stopPlayback();
+    replay = null;
+    pauseAutosave(false);
+    
+    document.getElementById('replay-controls').classList.add('hidden');
+    document.getElementById('start-replay').disabled = false;
+    document.getElementById('machines-container').classList.remove('replaying');
+    setPullsLocked(false);
+}
+
+export { initializeReplayPanel };
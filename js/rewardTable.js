@@ -0,0 +1,48 @@
+// Counterfactual reward table
+//
+// Every (round, machine) pair has exactly one reward, drawn from its own seeded
+// stream. The player, every benchmark strategy and the "best possible" line read
+// the same table, so they are compared on identical payouts whichever machines
+// they pull. Rewards are drawn on demand rather than stored: the stream for a
+// cell depends only on the seed, the round and the machine.
+import { Distributions } from './distributions.js';
+import { createRng, hashSeed } from './random.js';
+
+// Function to draw the reward of one machine in one round (rounds count from 0)
+function drawReward(seed, round, config) {
+    return drawFromTable(hashSeed(seed, 'reward'), round, config);
+}
+
+// Same draw from an already hashed table seed (cheaper when drawing many rewards)
+function drawFromTable(tableHash, round, config) {
+    const rng = createRng(hashSeed(tableHash, round, config.id));
+    return Distributions.sample(config.distribution, config.parameters, rng);
+}
+
+class RewardTable {
+    constructor(seed) {
+        this.seed = String(seed);
+        this.tableHash = hashSeed(this.seed, 'reward');
+        this.cachedRound = -1;
+        this.cachedRewards = null;
+    }
+    
+    getReward(round, config) {
+        return drawFromTable(this.tableHash, round, config);
+    }
+    
+    // Rewards of every machine in a round, indexed by machine id.
+    // The configs are the ones in effect that round (hard mode may have swapped them).
+    getRound(round, configs) {
+        if (round !== this.cachedRound) {
+            this.cachedRewards = [];
+            configs.forEach(config => {
+                this.cachedRewards[config.id] = this.getReward(round, config);
+            });
+            this.cachedRound = round;
+        }
+        return this.cachedRewards.slice();
+    }
+}
+
+export { RewardTable, drawReward };
@@ -0,0 +1,314 @@
+// Saving, resuming, exporting and importing whole game sessions
+//
+// A session holds everything needed to rebuild a game exactly: the seed, the
+// original and current machine configs, hard mode and its drift settings, the
+// benchmark strategy, the pull history and the hard-mode swaps. Loading replays
+// the pulls through the game state, so the machines, charts and benchmark end up
+// as they were.
+//
+// Sessions are plain JSON with a version number. The game in progress is
+// autosaved to localStorage and can be exported to or imported from a file.
+import { validateMachineConfigs } from './validation.js';
+import { sameMachine } from './machines.js';
+import { StrategyRegistry } from './strategies.js';
+import { validateDrift } from './drift.js';
+import { getRandomState } from './random.js';
+import { getActiveBenchmarkId, playOptimalRound } from './optimalStrategy.js';
+import {
+    GameEvents,
+    subscribe,
+    applyPermutation,
+    recordPull,
+    getGameSeed,
+    isHardModeEnabled,
+    getDriftSettings,
+    getOriginalConfigs,
+    getCurrentConfigs,
+    getPullHistory,
+    getPermutationHistory
+} from './gameState.js';
+
+const SESSION_FORMAT = 'statistical-slot-machines-session';
+const SESSION_VERSION = 1;
+const STORAGE_KEY = 'statistical-slot-machines:session';
+
+// Wait this long after the last event before writing to localStorage
+const AUTOSAVE_DELAY_MS = 1000;
+
+// Function to capture the game in progress; returns null when no game has started
+function createSession() {
+    const originalConfigs = getOriginalConfigs();
+    if (originalConfigs.length === 0) return null;
+    
+    return {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        savedAt: new Date().toISOString(),
+        seed: getGameSeed(),
+        randomState: getRandomState(),
+        hardMode: isHardModeEnabled(),
+        drift: getDriftSettings(),
+        benchmarkStrategyId: getActiveBenchmarkId(),
+        originalConfigs,
+        currentConfigs: getCurrentConfigs(),
+        pulls: getPullHistory(),
+        permutations: getPermutationHistory()
+    };
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isMachineId(value, numMachines) {
+    return Number.isInteger(value) && value >= 0 && value < numMachines;
+}
+
+// Check one pull record against the number of machines; returns a message or null
+function validatePull(record, index, numMachines) {
+    if (!record || typeof record !== 'object') return 'invalid record';
+    if (record.pull !== index + 1) return `expected pull number ${index + 1}`;
+    if (!isMachineId(record.machineId, numMachines)) return 'unknown machine';
+    if (!isFiniteNumber(record.payout)) return 'payout must be a number';
+    if (!Array.isArray(record.roundRewards) || record.roundRewards.length !== numMachines ||
+        !record.roundRewards.every(isFiniteNumber)) {
+        return `round rewards must list ${numMachines} numbers`;
+    }
+    if (record.roundRewards[record.machineId] !== record.payout) return 'payout does not match the round rewards';
+    // Sessions saved before drift settings existed have no offsets
+    if (record.offsets !== undefined && (!Array.isArray(record.offsets) ||
+        record.offsets.length !== numMachines || !record.offsets.every(isFiniteNumber))) {
+        return `drift offsets must list ${numMachines} numbers`;
+    }
+    
+    const benchmark = record.benchmark;
+    if (!benchmark || !isMachineId(benchmark.machineId, numMachines) || !isFiniteNumber(benchmark.payout)) {
+        return 'invalid benchmark move';
+    }
+    return null;
+}
+
+function configsEqual(a, b) {
+    return a.length === b.length &&
+        a.every((config, i) => config.id === b[i].id && sameMachine(config, b[i]));
+}
+
+// Function to check a parsed session. Returns a list of readable messages;
+// an empty list means the session can be loaded.
+function validateSession(session) {
+    if (!session || typeof session !== 'object' || session.format !== SESSION_FORMAT) {
+        return ['Not a saved slot machine session'];
+    }
+    if (session.version !== SESSION_VERSION) {
+        return [session.version > SESSION_VERSION
+            ? `Session version ${session.version} is newer than this app supports (${SESSION_VERSION})`
+            : `Unsupported session version ${session.version}`];
+    }
+    
+    const errors = [];
+    if (typeof session.seed !== 'string' || session.seed === '') {
+        errors.push('Missing seed');
+    }
+    if (typeof session.hardMode !== 'boolean') {
+        errors.push('Hard mode must be true or false');
+    }
+    if (!StrategyRegistry[session.benchmarkStrategyId]) {
+        errors.push(`Unknown benchmark strategy "${session.benchmarkStrategyId}"`);
+    }
+    if (session.randomState !== undefined && !Number.isInteger(session.randomState)) {
+        errors.push('Invalid random state');
+    }
+    
+    validateMachineConfigs(session.originalConfigs).forEach(error => errors.push(`Original machines: ${error}`));
+    validateMachineConfigs(session.currentConfigs).forEach(error => errors.push(`Current machines: ${error}`));
+    if (errors.length > 0) return errors;
+    
+    const numMachines = session.originalConfigs.length;
+    if (session.currentConfigs.length !== numMachines) {
+        return ['Original and current machines differ in number'];
+    }
+    if (session.drift !== undefined) {
+        validateDrift(session.drift, numMachines).forEach(error => errors.push(`Drift: ${error.message}`));
+    }
+    
+    if (!Array.isArray(session.pulls)) {
+        return [...errors, 'Pull history must be a list'];
+    }
+    session.pulls.forEach((record, index) => {
+        const message = validatePull(record, index, numMachines);
+        if (message) errors.push(`Pull ${index + 1}: ${message}`);
+    });
+    
+    if (!Array.isArray(session.permutations)) {
+        return [...errors, 'Permutation history must be a list'];
+    }
+    
+    // Each swap must start from the machines left by the previous one
+    let configs = session.originalConfigs;
+    let lastPull = 0;
+    session.permutations.forEach((permutation, index) => {
+        const label = `Permutation ${index + 1}`;
+        if (!permutation || !Number.isInteger(permutation.pull) ||
+            permutation.pull < lastPull || permutation.pull > session.pulls.length) {
+            errors.push(`${label}: invalid pull number`);
+            return;
+        }
+        lastPull = permutation.pull;
+        
+        const problems = [
+            ...validateMachineConfigs(permutation.before),
+            ...validateMachineConfigs(permutation.after)
+        ];
+        if (problems.length > 0) {
+            errors.push(`${label}: ${problems[0]}`);
+            return;
+        }
+        if (!configsEqual(permutation.before, configs)) {
+            errors.push(`${label}: does not follow the previous machines`);
+        }
+        configs = permutation.after;
+    });
+    
+    if (errors.length === 0 && !configsEqual(configs, session.currentConfigs)) {
+        errors.push('Current machines do not match the permutation history');
+    }
+    
+    return errors;
+}
+
+// Function to read a session from JSON text; throws an Error listing the problems
+function parseSession(text) {
+    let session;
+    try {
+        session = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+    }
+    
+    const errors = validateSession(session);
+    if (errors.length > 0) {
+        throw new Error(errors.join('\n'));
+    }
+    return session;
+}
+
+function serializeSession(session) {
+    return JSON.stringify(session, null, 2);
+}
+
+// Function to replay a session's pulls and swaps. The game must already have been
+// started with the session's original configs, seed and benchmark strategy, and
+// have played the session's first `from` pulls. Swaps recorded after the last
+// pull are only applied when replaying to the end.
+function replaySession(session, from = 0, to = session.pulls.length) {
+    const permutations = session.permutations.filter(permutation => permutation.pull >= from);
+    let mismatches = 0;
+    
+    const applyPermutationsBefore = pull => {
+        while (permutations.length > 0 && permutations[0].pull <= pull) {
+            applyPermutation(permutations.shift().after);
+        }
+    };
+    
+    session.pulls.slice(from, to).forEach(record => {
+        applyPermutationsBefore(record.pull - 1);
+        
+        // The benchmark plays the round again so its estimates are rebuilt; its
+        // recorded move is kept for the charts
+        const step = playOptimalRound(record.roundRewards);
+        if (step.machineId !== record.benchmark.machineId) {
+            mismatches++;
+        }
+        
+        recordPull({
+            machineId: record.machineId,
+            payout: record.payout,
+            roundRewards: record.roundRewards,
+            offsets: record.offsets,
+            benchmark: { ...record.benchmark }
+        });
+    });
+    if (to === session.pulls.length) {
+        applyPermutationsBefore(to);
+    }
+    
+    if (mismatches > 0) {
+        console.warn(`Benchmark replay differed from the saved moves on ${mismatches} pull(s)`);
+    }
+}
+
+// Function to read the autosaved session; returns null if there is none or it is unusable
+function loadSavedSession() {
+    let text;
+    try {
+        text = localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+        return null;
+    }
+    if (!text) return null;
+    
+    try {
+        return parseSession(text);
+    } catch (error) {
+        console.warn('Ignoring the saved session:', error.message);
+        return null;
+    }
+}
+
+function saveSession() {
+    const session = createSession();
+    if (!session) return;
+    
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    } catch (error) {
+        // Storage can be full or disabled (private browsing); the game carries on unsaved
+        console.warn('Could not autosave the session:', error.message);
+    }
+}
+
+let autosaveTimer = null;
+let autosavePaused = false;
+
+function flushAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    saveSession();
+}
+
+// Function to autosave the game in progress shortly after anything changes
+function enableAutosave() {
+    subscribe('*', (detail, type) => {
+        // Resetting is always followed by a new game, which is saved instead
+        if (autosavePaused || type === GameEvents.RESET) return;
+        clearTimeout(autosaveTimer);
+        autosaveTimer = setTimeout(flushAutosave, AUTOSAVE_DELAY_MS);
+    });
+    
+    // Don't lose the last second of play when the page is closed
+    window.addEventListener('pagehide', () => {
+        if (autosaveTimer !== null) flushAutosave();
+    });
+}
+
+// Function to stop autosaving while the game state is rebuilt for a replay, so a
+// partial replay never replaces the saved session (pending changes are saved first)
+function pauseAutosave(paused) {
+    if (paused && autosaveTimer !== null) {
+        flushAutosave();
+    }
+    autosavePaused = paused;
+}
+
+export {
+    SESSION_VERSION,
+    createSession,
+    validateSession,
+    parseSession,
+    serializeSession,
+    replaySession,
+    loadSavedSession,
+    saveSession,
+    enableAutosave,
+    pauseAutosave
+};
@@ -0,0 +1,144 @@
+// Shareable scenario links
+//
+// A scenario (machines, hard mode and its drift settings, seed and whether to
+// hide the distributions) is stored in the URL hash as readable parameters, one
+// `m` per machine:
+//
+//   #v=1&m=normal:1,1&m=bernoulli:0.6&seed=class-3&hard=1&play=1
+//
+// Premade machines list their parameters separated by commas; custom ones use
+// the same text as the config form. Drift settings that differ from the defaults
+// are added as swap=<chance>, cp=<pull>,<pull>, walk=<step>,
+// wave=<amplitude>,<period> and degrade=<machine>,<rate per pull>,<total>
+// (machines numbered from 1; links without the total use the default). Links
+// are validated like any other configuration before they are used.
+import { DistributionRegistry } from './distributions.js';
+import { validateMachineConfigs } from './validation.js';
+import { DEFAULT_DRIFT, normalizeDrift, validateDrift } from './drift.js';
+
+const SHARE_LINK_VERSION = 1;
+
+// Function to build the hash for a scenario
+function encodeShareHash({ configs, seed, hardMode, drift = DEFAULT_DRIFT, hideDistributions }) {
+    const params = new URLSearchParams();
+    params.append('v', SHARE_LINK_VERSION);
+    
+    configs.forEach(config => {
+        const distribution = DistributionRegistry[config.distribution];
+        const text = distribution.custom
+            ? distribution.toText(config.parameters)
+            : config.parameters.join(',');
+        params.append('m', `${config.distribution}:${text}`);
+    });
+    
+    if (seed) params.append('seed', seed);
+    if (hardMode) params.append('hard', '1');
+    
+    if (drift.swapProbability !== DEFAULT_DRIFT.swapProbability) params.append('swap', drift.swapProbability);
+    if (drift.changePoints.length > 0) params.append('cp', drift.changePoints.join(','));
+    if (drift.randomWalkStep > 0) params.append('walk', drift.randomWalkStep);
+    if (drift.periodicAmplitude > 0) params.append('wave', `${drift.periodicAmplitude},${drift.periodicPeriod}`);
+    if (drift.degradeRate > 0) {
+        params.append('degrade', `${drift.degradeMachine + 1},${drift.degradeRate},${drift.degradeLimit}`);
+    }
+    if (hideDistributions) params.append('play', '1');
+    
+    return `#${params.toString()}`;
+}
+
+// Read one `m` value into a machine config; throws an Error for a malformed entry
+function decodeMachine(value, index) {
+    const separator = value.indexOf(':');
+    const type = separator === -1 ? value : value.slice(0, separator);
+    const text = separator === -1 ? '' : value.slice(separator + 1);
+    
+    const distribution = DistributionRegistry[type];
+    if (!distribution) {
+        throw new Error(`Machine ${index + 1}: unknown distribution "${type}"`);
+    }
+    
+    let parameters;
+    if (distribution.custom) {
+        try {
+            parameters = distribution.parse(text);
+        } catch (error) {
+            throw new Error(`Machine ${index + 1}: ${error.message}`);
+        }
+    } else {
+        // Empty entries become NaN so validation reports them as missing numbers
+        parameters = text === '' ? [] : text.split(',').map(part => part.trim() === '' ? NaN : Number(part));
+    }
+    
+    return { id: index, distribution: type, parameters };
+}
+
+// Read the drift parameters into drift settings (unchecked; see validateDrift)
+function decodeDrift(params) {
+    const numbers = name => params.get(name).split(',').map(part => part.trim() === '' ? NaN : Number(part));
+    const drift = {};
+    
+    if (params.has('swap')) drift.swapProbability = numbers('swap')[0];
+    if (params.has('cp')) drift.changePoints = numbers('cp');
+    if (params.has('walk')) drift.randomWalkStep = numbers('walk')[0];
+    if (params.has('wave')) {
+        [drift.periodicAmplitude, drift.periodicPeriod] = numbers('wave');
+    }
+    if (params.has('degrade')) {
+        const [machine, rate, limit] = numbers('degrade');
+        drift.degradeMachine = machine - 1;
+        drift.degradeRate = rate;
+        if (limit !== undefined) drift.degradeLimit = limit;
+    }
+    return { ...DEFAULT_DRIFT, ...drift };
+}
+
+// Function to read a scenario from a URL hash. Returns null if the hash holds no
+// scenario; throws an Error listing every problem if it is malformed.
+function parseShareHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('m')) return null;
+    
+    const version = Number(params.get('v'));
+    if (version !== SHARE_LINK_VERSION) {
+        throw new Error(`Unsupported link version "${params.get('v')}"`);
+    }
+    
+    const errors = [];
+    const configs = [];
+    params.getAll('m').forEach((value, index) => {
+        try {
+            configs.push(decodeMachine(value, index));
+        } catch (error) {
+            errors.push(error.message);
+        }
+    });
+    if (errors.length === 0) {
+        errors.push(...validateMachineConfigs(configs));
+    }
+    
+    const drift = decodeDrift(params);
+    validateDrift(drift, configs.length).forEach(error => errors.push(`Drift: ${error.message}`));
+    
+    const flag = name => {
+        const value = params.get(name);
+        if (value === null || value === '0') return false;
+        if (value === '1') return true;
+        errors.push(`"${name}" must be 0 or 1`);
+        return false;
+    };
+    const hardMode = flag('hard');
+    const hideDistributions = flag('play');
+    
+    const seed = params.has('seed') ? params.get('seed').trim() : '';
+    if (params.has('seed') && seed === '') {
+        errors.push('The seed is empty');
+    }
+    
+    if (errors.length > 0) {
+        throw new Error(errors.join('\n'));
+    }
+    
+    return { configs, seed, hardMode, drift: normalizeDrift(drift), hideDistributions };
+}
+
+export { SHARE_LINK_VERSION, encodeShareHash, parseShareHash };
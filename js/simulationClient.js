@@ -0,0 +1,61 @@
+// Main-thread side of the simulation worker
+//
+// Starts a worker for one experiment and forwards its messages to callbacks:
+//   onProgress(completed, total), onPartial(results), onDone(results),
+//   onCancelled(results), onError(message)
+// Returns a handle whose cancel() asks the worker to stop.
+
+function runSimulation(options, callbacks = {}) {
+    const worker = new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' });
+    let finished = false;
+    
+    const stop = () => {
+        finished = true;
+        worker.terminate();
+    };
+    
+    worker.addEventListener('message', event => {
+        const message = event.data;
+        switch (message.type) {
+            case 'progress':
+                if (callbacks.onProgress) callbacks.onProgress(message.completed, message.total);
+                break;
+            case 'partial':
+                if (callbacks.onPartial) callbacks.onPartial(message.results);
+                break;
+            case 'done':
+                stop();
+                if (callbacks.onDone) callbacks.onDone(message.results);
+                break;
+            case 'cancelled':
+                stop();
+                if (callbacks.onCancelled) callbacks.onCancelled(message.results);
+                break;
+            case 'error':
+                stop();
+                if (callbacks.onError) callbacks.onError(message.message);
+                break;
+            default:
+                console.warn('Unknown message from simulation worker:', message);
+        }
+    });
+    
+    // Errors thrown while loading the worker script never reach the message handler
+    worker.addEventListener('error', event => {
+        event.preventDefault();
+        stop();
+        if (callbacks.onError) callbacks.onError(event.message || 'The simulation worker failed to start');
+    });
+    
+    worker.postMessage({ type: 'start', options });
+    
+    return {
+        cancel() {
+            if (!finished) {
+                worker.postMessage({ type: 'cancel' });
+            }
+        }
+    };
+}
+
+export { runSimulation };
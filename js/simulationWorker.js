@@ -0,0 +1,90 @@
+// Web Worker that runs experiments off the main thread
+//
+// Message protocol (main thread -> worker):
+//   { type: 'start', options }  - options as accepted by Experiment, drift settings included
+//   { type: 'cancel' }          - stop after the current batch of episodes
+//
+// Worker -> main thread:
+//   { type: 'progress', completed, total }
+//   { type: 'partial', results }    - summary of the episodes finished so far
+//   { type: 'done', results }
+//   { type: 'cancelled', results }  - summary up to the point of cancellation
+//   { type: 'error', message }
+import { Experiment } from './experiment.js';
+
+// Time spent on episodes before checking for messages, and between partial results
+const BATCH_MS = 100;
+const PARTIAL_RESULTS_MS = 500;
+
+let experiment = null;
+let cancelRequested = false;
+
+self.addEventListener('message', event => {
+    const message = event.data;
+    switch (message.type) {
+        case 'start':
+            startExperiment(message.options);
+            break;
+        case 'cancel':
+            cancelRequested = true;
+            break;
+        default:
+            self.postMessage({ type: 'error', message: `Unknown message type "${message.type}"` });
+    }
+});
+
+function startExperiment(options) {
+    if (experiment) {
+        self.postMessage({ type: 'error', message: 'An experiment is already running' });
+        return;
+    }
+    
+    try {
+        experiment = new Experiment(options);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+        return;
+    }
+    
+    cancelRequested = false;
+    let lastPartial = performance.now();
+    
+    // Run in batches, yielding between them so a cancel message can arrive
+    const runBatch = () => {
+        if (cancelRequested) {
+            finish('cancelled');
+            return;
+        }
+        
+        try {
+            const started = performance.now();
+            while (!experiment.isDone() && performance.now() - started < BATCH_MS) {
+                experiment.runNextEpisode();
+            }
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+            experiment = null;
+            return;
+        }
+        
+        self.postMessage({ type: 'progress', completed: experiment.completedEpisodes, total: experiment.episodes });
+        
+        if (experiment.isDone()) {
+            finish('done');
+            return;
+        }
+        
+        if (performance.now() - lastPartial >= PARTIAL_RESULTS_MS) {
+            self.postMessage({ type: 'partial', results: experiment.getResults() });
+            lastPartial = performance.now();
+        }
+        setTimeout(runBatch, 0);
+    };
+    
+    runBatch();
+}
+
+function finish(type) {
+    self.postMessage({ type, results: experiment.getResults() });
+    experiment = null;
+}
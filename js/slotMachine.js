@@ -1,7 +1,24 @@
 // Import the Distributions module
-import { Distributions } from './distributions.js';
-import { updateChart } from './chart.js';
-import { updateRegretChart } from './regretChart.js';
+import { formatParameters } from './distributions.js';
+import { random, getSeed } from './random.js';
+import { RewardTable } from './rewardTable.js';
+import { permuteConfigs } from './machines.js';
+import { DriftModel, hasMeanDrift, isChangePoint, applyDrift } from './drift.js';
+import { playOptimalRound } from './optimalStrategy.js';
+import { renderMachineHistogram } from './machineHistogram.js';
+import {
+    GameEvents,
+    subscribe,
+    setHardMode,
+    isHardModeEnabled,
+    getDriftSettings,
+    applyPermutation,
+    recordPull,
+    getCurrentConfigs,
+    getTotalPulls,
+    getMachineStats,
+    isGameEnded
+} from './gameState.js';
 
 class SlotMachine {
     constructor(name, distributionFunc, payoutFunc) {
@@ -11,7 +28,7 @@ class SlotMachine {
         this.totalPayout = 0;
         this.spins = 0;
     }
-
+    
     spin() {
         const result = this.distributionFunc();
         const payout = this.payoutFunc(result);
@@ -19,11 +36,11 @@ class SlotMachine {
         this.spins++;
         return { result, payout };
     }
-
+    
     getAveragePayout() {
         return this.spins > 0 ? this.totalPayout / this.spins : 0;
     }
-
+    
     reset() {
         this.totalPayout = 0;
         this.spins = 0;
@@ -49,82 +66,45 @@ function resetMachines(machines) {
 
 // Slot machine creation and functionality
 
-let totalPulls = 0;
-const machineData = {};
+// Counterfactual rewards for the game in progress, recreated for every new game
+let rewardTable = new RewardTable(getSeed());
+// Mean offsets from hard-mode drift, recreated for every new game and settings change
+let driftModel = null;
+// Set while a replay is shown, so the replayed game can't be played on (an ended
+// game can't be played on either)
+let pullsLocked = false;
 
-// Keep track of the latest pull result for each machine to ensure consistency
-const latestPullResults = {};
-
-// Function to reset all machine data
-function resetMachineData() {
-    // Reset total pulls
-    totalPulls = 0;
-    
-    // Clear machine data
-    for (const key in machineData) {
-        delete machineData[key];
-    }
-    
-    // Clear latest pull results
-    for (const key in latestPullResults) {
-        delete latestPullResults[key];
-    }
+function createDriftModel(seed) {
+    driftModel = new DriftModel(getDriftSettings(), seed, getCurrentConfigs().length);
 }
 
-// Hard mode tracking with better state management
-let hardModeEnabled = false;
-let originalMachineConfigs = [];
-let currentMachineConfigs = []; // Add tracking of current configuration
+// The machine displays follow the game state
+subscribe(GameEvents.MACHINES_GENERATED, ({ seed }) => {
+    rewardTable = new RewardTable(seed);
+    createDriftModel(seed);
+});
+subscribe(GameEvents.DRIFT, () => createDriftModel(rewardTable.seed));
+subscribe(GameEvents.PULL, updateMachineStats);
+subscribe(GameEvents.PERMUTATION, updateMachineDisplays);
+subscribe(GameEvents.GAME_ENDED, updatePullButtons);
 
-// Function to toggle hard mode
-function toggleHardMode(enabled) {
-    hardModeEnabled = enabled;
-    console.log(`Hard Mode ${hardModeEnabled ? 'Enabled' : 'Disabled'}`);
-    
-    // If enabling hard mode, refresh machine configs
-    if (enabled) {
-        captureCurrentMachineConfigs();
-    }
+// Function to stop or allow pulls; only the pull buttons are disabled, so the
+// stats and histograms can still be opened
+function setPullsLocked(locked) {
+    pullsLocked = locked;
+    updatePullButtons();
 }
 
-// Function to store the original machine configurations
-function setOriginalMachineConfigs(configs) {
-    originalMachineConfigs = JSON.parse(JSON.stringify(configs)); // Deep copy
-    currentMachineConfigs = JSON.parse(JSON.stringify(configs)); // Initialize current configs
-    console.log("Original machine configurations stored:", originalMachineConfigs);
+function updatePullButtons() {
+    document.querySelectorAll('.pull-lever').forEach(button => {
+        button.disabled = pullsLocked || isGameEnded();
+    });
 }
 
-// Function to get current machine configurations from the DOM
-function captureCurrentMachineConfigs() {
-    const configs = [];
-    
-    // Collect configurations from the DOM
-    for (let i = 0; i < originalMachineConfigs.length; i++) {
-        const statsElement = document.getElementById(`stats-${i}`);
-        if (statsElement) {
-            // Get distribution type
-            const distribText = statsElement.querySelector('p:nth-child(3)').textContent;
-            const distribMatch = distribText.match(/Distribution: (.+)/);
-            const distribution = distribMatch ? distribMatch[1].toLowerCase() : 'normal';
-            
-            // Get parameters
-            const paramsText = statsElement.querySelector('p:nth-child(4)').textContent;
-            const paramsMatch = paramsText.match(/Parameters: (.+)/);
-            const params = paramsMatch 
-                ? paramsMatch[1].split(', ').map(p => parseFloat(p))
-                : [0, 1];
-            
-            configs.push({
-                id: i,
-                distribution,
-                parameters: params
-            });
-        }
-    }
-    
-    currentMachineConfigs = configs; // Update current configuration state
-    console.log("Current machine configs captured:", configs);
-    return configs;
+// Function to toggle hard mode
+function toggleHardMode(enabled) {
+    setHardMode(enabled);
+    console.log(`Hard Mode ${enabled ? 'Enabled' : 'Disabled'}`);
 }
 
 // Public function to force a permutation (for testing)
@@ -133,75 +113,31 @@ function forcePermutation() {
     permuteAndUpdateMachines();
 }
 
-// Helper function to perform the permutation and update displays
+// Helper function to perform the permutation (displays update from the 'permutation' event)
 function permuteAndUpdateMachines() {
-    if (!currentMachineConfigs || !currentMachineConfigs.length) {
+    const configs = getCurrentConfigs();
+    if (!configs.length) {
         console.error("No machine configurations to permute!");
         return false;
     }
     
     console.log("🔄 Starting permutation of distributions!");
-    console.log("Configuration before permutation:", JSON.parse(JSON.stringify(currentMachineConfigs)));
-    
-    // Create a copy of the current configurations
-    const oldConfigs = JSON.parse(JSON.stringify(currentMachineConfigs));
-    const shuffledConfigs = JSON.parse(JSON.stringify(currentMachineConfigs));
-    
-    // Fisher-Yates shuffle of the configurations
-    for (let i = shuffledConfigs.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        
-        // Only swap the distribution and parameters, not the IDs
-        [shuffledConfigs[i].distribution, shuffledConfigs[j].distribution] = 
-            [shuffledConfigs[j].distribution, shuffledConfigs[i].distribution];
-        
-        [shuffledConfigs[i].parameters, shuffledConfigs[j].parameters] = 
-            [shuffledConfigs[j].parameters, shuffledConfigs[i].parameters];
-    }
+    console.log("Configuration before permutation:", configs);
     
-    // Check if any machines actually changed
-    let changesDetected = false;
-    for (let i = 0; i < oldConfigs.length; i++) {
-        if (oldConfigs[i].distribution !== shuffledConfigs[i].distribution ||
-            !arraysEqual(oldConfigs[i].parameters, shuffledConfigs[i].parameters)) {
-            changesDetected = true;
-            console.log(`Machine ${i+1} changed from ${oldConfigs[i].distribution} to ${shuffledConfigs[i].distribution}`);
-            break;
-        }
-    }
-    
-    // If no changes detected, try again
-    if (!changesDetected) {
-        console.log("⚠️ No changes detected after shuffle. Re-shuffling...");
-        return permuteAndUpdateMachines(); // Recursive call
-    }
-    
-    // Update the currentMachineConfigs state with the permuted configs
-    currentMachineConfigs = shuffledConfigs;
-    console.log("Configurations after permutation:", JSON.parse(JSON.stringify(currentMachineConfigs)));
-    
-    // Update machine displays with the new configurations (only visible in stats)
-    updateMachineDisplays();
+    // Shuffle until at least one machine actually changes
+    applyPermutation(permuteConfigs(configs));
+    console.log("Configurations after permutation:", getCurrentConfigs());
     
     return true;
 }
 
-// Helper to check if two arrays are equal
-function arraysEqual(a, b) {
-    if (a.length !== b.length) return false;
-    for (let i = 0; i < a.length; i++) {
-        if (a[i] !== b[i]) return false;
-    }
-    return true;
-}
-
 // Update the machine displays to show the new configurations
 function updateMachineDisplays() {
-    currentMachineConfigs.forEach(config => {
+    getCurrentConfigs().forEach(config => {
         const statsElement = document.getElementById(`stats-${config.id}`);
         if (statsElement) {
             // Format parameters for display
-            const formattedParams = config.parameters.map(p => p.toString()).join(', ');
+            const formattedParams = formatParameters(config.distribution, config.parameters);
             
             // Update distribution and parameters displays
             const distribElement = statsElement.querySelector('p:nth-child(3)');
@@ -223,27 +159,12 @@ function updateMachineDisplays() {
 function createSlotMachine(config) {
     const { id, distribution, parameters } = config;
     
-    // Initialize machine data for tracking
-    machineData[id] = {
-        pulls: 0,
-        totalPayout: 0,
-        payouts: []
-    };
-    
     // Create machine element
     const machineElement = document.createElement('div');
     machineElement.className = 'slot-machine';
     
     // Format parameters based on distribution type without rounding
-    const formattedParams = parameters.map(param => {
-        // For Bernoulli distribution, use the exact value entered by the user
-        if (distribution === 'bernoulli') {
-            // Display the exact parameter value without converting to a fixed number of decimal places
-            return param.toString();
-        }
-        // For other distributions, don't round to 2 decimal places
-        return param.toString();
-    }).join(', ');
+    const formattedParams = formatParameters(distribution, parameters);
     
     machineElement.innerHTML = `
         <div class="machine-header">
@@ -255,8 +176,9 @@ function createSlotMachine(config) {
         <div class="machine-stats" id="stats-${id}">
             <p>Pulls: <span id="pulls-${id}">0</span></p>
             <p>Avg Payout: <span id="avg-payout-${id}">0.00</span></p>
-            <p>Distribution: ${distribution.charAt(0).toUpperCase() + distribution.slice(1)}</p>
-            <p>Parameters: ${formattedParams}</p>
+            <p class="machine-distribution">Distribution: ${distribution.charAt(0).toUpperCase() + distribution.slice(1)}</p>
+            <p class="machine-distribution">Parameters: ${formattedParams}</p>
+            <div class="machine-histogram" id="histogram-${id}"></div>
         </div>
         <div class="machine-buttons">
             <button class="pull-lever" data-machine="${id}">Pull Lever</button>
@@ -266,10 +188,11 @@ function createSlotMachine(config) {
     
     // Add event listener for the lever pull
     const leverButton = machineElement.querySelector('.pull-lever');
+    leverButton.disabled = pullsLocked || isGameEnded();
     leverButton.addEventListener('click', function(event) {
         event.stopPropagation(); // Prevent triggering the machine click event
         const machineId = parseInt(this.getAttribute('data-machine'));
-        pullLever(machineId, distribution, parameters);
+        pullLever(machineId);
     });
     
     // Add event listener for the toggle stats button
@@ -284,13 +207,16 @@ function createSlotMachine(config) {
         } else {
             statsElement.style.display = 'block';
             this.textContent = 'Hide Stats';
+            // The histogram is only kept up to date while the stats are shown
+            renderMachineHistogram(parseInt(statsId));
         }
     });
     
     // Add click event listener to the entire machine element
     machineElement.addEventListener('click', function() {
         // Don't trigger if clicking on buttons (handled by stopPropagation above)
-        pullLever(id, distribution, parameters);
+        if (leverButton.disabled) return;
+        pullLever(id);
         
         // Add a visual feedback for the click
         this.classList.add('machine-clicked');
@@ -302,40 +228,48 @@ function createSlotMachine(config) {
     return machineElement;
 }
 
-// Fix the permutation code to directly handle the 5% chance
-function pullLever(machineId, distribution, parameters) {
-    // Hard Mode: Check for permutation with a 5% chance
-    if (hardModeEnabled && Math.random() < 0.05) {
-        console.log("💫 Hard Mode triggered a permutation!");
-        permuteAndUpdateMachines();
-    }
+// Function to pull a machine's lever; hard mode may swap the machines first
+// and make their means drift (see drift.js)
+function pullLever(machineId) {
+    // No more pulls once the game is over, or while it is being replayed
+    if (isGameEnded() || pullsLocked) return;
     
-    // Get the current distribution and parameters for this machine
-    // This ensures we're using the potentially updated configuration after permutation
-    let currentDistribution = distribution;
-    let currentParameters = parameters;
+    const round = getTotalPulls();
+    const drift = getDriftSettings();
     
-    // Find the current configuration for this machine
-    const machineConfig = currentMachineConfigs.find(config => config.id === machineId);
-    if (machineConfig) {
-        currentDistribution = machineConfig.distribution;
-        currentParameters = machineConfig.parameters;
-        console.log(`Using machine ${machineId + 1}'s current config: ${currentDistribution} with params [${currentParameters}]`);
+    // Hard Mode: swap at a scheduled change point, or by chance
+    if (isHardModeEnabled() && (isChangePoint(drift, round) || random() < drift.swapProbability)) {
+        console.log("💫 Hard Mode triggered a permutation!");
+        permuteAndUpdateMachines();
     }
     
-    // Sample from the distribution using the current (possibly swapped) configuration
-    const payout = Distributions.sample(currentDistribution, currentParameters);
-    const formattedPayout = payout.toFixed(2);
+    // Every machine's reward this round comes from the shared counterfactual table,
+    // using the current (possibly swapped) configuration, moved by any drift
+    const offsets = isHardModeEnabled() && hasMeanDrift(drift)
+        ? driftModel.offsetsAt(round)
+        : getCurrentConfigs().map(() => 0);
+    const drifted = [];
+    getCurrentConfigs().forEach(config => {
+        drifted[config.id] = applyDrift(config, offsets[config.id]);
+    });
+    const roundRewards = rewardTable.getRound(round, drifted.map(machine => machine.config))
+        .map((reward, id) => reward + drifted[id].shift);
+    const payout = roundRewards[machineId];
     
-    // Store the result for this pull (used by optimal strategy)
-    latestPullResults[totalPulls] = {
-        machineId,
-        payout
-    };
+    // The benchmark strategy plays the same round
+    const benchmark = playOptimalRound(roundRewards);
     
-    // Update display
+    // The machine display, charts and any other listeners update from the 'pull' event
+    recordPull({ machineId, payout, roundRewards, offsets, benchmark });
+}
+
+// Function to show a pull's result and the machine's running stats
+function updateMachineStats(record) {
+    const { machineId, payout } = record;
     const resultElement = document.getElementById(`result-${machineId}`);
-    resultElement.textContent = formattedPayout;
+    if (!resultElement) return;
+    
+    resultElement.textContent = payout.toFixed(2);
     
     // Apply different styling for negative payouts
     if (payout < 0) {
@@ -344,52 +278,17 @@ function pullLever(machineId, distribution, parameters) {
         resultElement.classList.remove('negative');
     }
     
-    // Update stats
-    machineData[machineId].pulls++;
-    machineData[machineId].totalPayout += parseFloat(formattedPayout);
-    machineData[machineId].payouts.push(parseFloat(formattedPayout));
-    
-    document.getElementById(`pulls-${machineId}`).textContent = machineData[machineId].pulls;
+    const stats = getMachineStats(machineId);
+    document.getElementById(`pulls-${machineId}`).textContent = stats.pulls;
     document.getElementById(`avg-payout-${machineId}`).textContent = 
-        (machineData[machineId].totalPayout / machineData[machineId].pulls).toFixed(2);
-    
-    // Update total pulls
-    totalPulls++;
-    
-    // Get optimal machine from UCB algorithm
-    let optimalMachineId = 0;
-    let bestUCB = -Infinity;
-    
-    if (window.optimalMachineEstimates) {
-        window.optimalMachineEstimates.forEach(machine => {
-            if (machine.pulls > 0) {
-                const exploration = Math.sqrt(2 * Math.log(totalPulls) / machine.pulls);
-                machine.ucb = machine.mean + exploration;
-            } else {
-                machine.ucb = Infinity;
-            }
-            
-            if (machine.ucb > bestUCB) {
-                bestUCB = machine.ucb;
-                optimalMachineId = machine.id;
-            }
-        });
-    }
-    
-    // Update charts
-    updateChart(machineId, payout, optimalMachineId);
-    updateRegretChart(machineId, optimalMachineId);
+        (stats.totalPayout / stats.pulls).toFixed(2);
 }
 
-// Export the necessary functions and data
+// Export the necessary functions
 export { 
     createSlotMachine, 
-    totalPulls, 
-    machineData, 
-    latestPullResults, 
-    resetMachineData,
+    pullLever,
+    setPullsLocked,
     toggleHardMode,
-    setOriginalMachineConfigs,
-    forcePermutation,
-    currentMachineConfigs  // Export current configs for other modules
-};
\ No newline at end of file
+    forcePermutation
+};
@@ -0,0 +1,766 @@
+// Bandit strategies used as benchmarks
+//
+// Every strategy implements the same interface:
+//   selectArm()          - index of the machine to pull next
+//   observe(arm, reward) - update internal state with the payout received
+//   reset()              - forget everything observed so far
+//   getEstimates()       - per-arm { arm, pulls, mean, details } for display
+import { random } from './random.js';
+import { Distributions } from './distributions.js';
+
+// Base class tracking pulls, sums and squared sums for every arm
+class BanditStrategy {
+    constructor(numArms, options = {}) {
+        this.numArms = numArms;
+        this.options = options;
+        this.rng = options.rng || random;
+        this.reset();
+    }
+    
+    reset() {
+        this.totalPulls = 0;
+        this.counts = new Array(this.numArms).fill(0);
+        this.sums = new Array(this.numArms).fill(0);
+        this.sumSquares = new Array(this.numArms).fill(0);
+    }
+    
+    selectArm() {
+        throw new Error(`${this.constructor.name} must implement selectArm()`);
+    }
+    
+    observe(arm, reward) {
+        this.totalPulls++;
+        this.counts[arm]++;
+        this.sums[arm] += reward;
+        this.sumSquares[arm] += reward * reward;
+    }
+    
+    mean(arm) {
+        return this.counts[arm] > 0 ? this.sums[arm] / this.counts[arm] : 0;
+    }
+    
+    // Population variance of the payouts observed on an arm
+    variance(arm) {
+        const n = this.counts[arm];
+        if (n === 0) return 0;
+        const mean = this.sums[arm] / n;
+        return Math.max(0, this.sumSquares[arm] / n - mean * mean);
+    }
+    
+    // Forget everything observed on one arm (used when a change is detected)
+    resetArm(arm) {
+        this.counts[arm] = 0;
+        this.sums[arm] = 0;
+        this.sumSquares[arm] = 0;
+    }
+    
+    // First arm that hasn't been pulled yet, or -1
+    untriedArm() {
+        return this.counts.indexOf(0);
+    }
+    
+    // Strategy-specific values shown next to pulls and mean (e.g. the UCB index)
+    armDetails(arm) {
+        return {};
+    }
+    
+    getEstimates() {
+        return this.counts.map((pulls, arm) => ({
+            arm,
+            pulls,
+            mean: this.mean(arm),
+            details: this.armDetails(arm)
+        }));
+    }
+}
+
+// Index of the largest value (first one wins ties)
+function argmax(values) {
+    let best = 0;
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] > values[best]) best = i;
+    }
+    return best;
+}
+
+// Draw an index according to a list of probabilities
+function sampleIndex(probabilities, rng) {
+    let u = rng();
+    for (let i = 0; i < probabilities.length; i++) {
+        u -= probabilities[i];
+        if (u < 0) return i;
+    }
+    return probabilities.length - 1;
+}
+
+// Epsilon-greedy: exploit the best observed mean, explore uniformly with probability epsilon
+class EpsilonGreedyStrategy extends BanditStrategy {
+    currentEpsilon() {
+        return this.options.epsilon;
+    }
+    
+    selectArm() {
+        const untried = this.untriedArm();
+        if (untried !== -1) return untried;
+        
+        if (this.rng() < this.currentEpsilon()) {
+            return Math.floor(this.rng() * this.numArms);
+        }
+        return argmax(this.counts.map((count, arm) => this.mean(arm)));
+    }
+}
+
+// Decaying epsilon-greedy: epsilon_t = min(1, c * K / t)
+class DecayingEpsilonGreedyStrategy extends EpsilonGreedyStrategy {
+    currentEpsilon() {
+        return Math.min(1, this.options.c * this.numArms / (this.totalPulls + 1));
+    }
+}
+
+// Boltzmann exploration: choose arms with probability proportional to exp(mean / temperature)
+class SoftmaxStrategy extends BanditStrategy {
+    probabilities() {
+        const scores = this.counts.map((count, arm) => this.mean(arm) / this.options.temperature);
+        const maxScore = Math.max(...scores);
+        const weights = scores.map(score => Math.exp(score - maxScore));
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        return weights.map(w => w / total);
+    }
+    
+    selectArm() {
+        const untried = this.untriedArm();
+        if (untried !== -1) return untried;
+        return sampleIndex(this.probabilities(), this.rng);
+    }
+    
+    armDetails(arm) {
+        return { 'Choice probability': this.probabilities()[arm] };
+    }
+}
+
+// Index policies pull the arm with the highest index; untried arms have an infinite index
+class IndexStrategy extends BanditStrategy {
+    index(arm) {
+        throw new Error(`${this.constructor.name} must implement index()`);
+    }
+    
+    selectArm() {
+        return argmax(this.counts.map((count, arm) => this.index(arm)));
+    }
+    
+    armDetails(arm) {
+        return { 'Upper bound': this.index(arm) };
+    }
+}
+
+// UCB1 (Auer et al., 2002): mean + sqrt(2 ln t / n)
+class UCB1Strategy extends IndexStrategy {
+    index(arm) {
+        const n = this.counts[arm];
+        if (n === 0) return Infinity;
+        const t = this.totalPulls + 1;
+        return this.mean(arm) + Math.sqrt(2 * Math.log(t) / n);
+    }
+}
+
+// UCB1-Tuned: scales the exploration bonus by an upper bound on each arm's variance.
+// The original caps the variance at 1/4, which only holds for rewards in [0, 1]; the
+// cap used here is a quarter of the squared range of payouts observed so far (the
+// most a variance can be within that range), so wider payouts are still explored.
+class UCB1TunedStrategy extends IndexStrategy {
+    reset() {
+        super.reset();
+        this.minReward = Infinity;
+        this.maxReward = -Infinity;
+    }
+    
+    observe(arm, reward) {
+        super.observe(arm, reward);
+        this.minReward = Math.min(this.minReward, reward);
+        this.maxReward = Math.max(this.maxReward, reward);
+    }
+    
+    // Width of the observed payouts; 1 (the [0, 1] case) until two different payouts are seen
+    rewardRange() {
+        return this.maxReward > this.minReward ? this.maxReward - this.minReward : 1;
+    }
+    
+    index(arm) {
+        const n = this.counts[arm];
+        if (n === 0) return Infinity;
+        const logT = Math.log(this.totalPulls + 1);
+        const range = this.rewardRange();
+        const varianceBound = this.variance(arm) + Math.sqrt(2 * logT / n);
+        return this.mean(arm) + Math.sqrt(logT / n * Math.min(range * range / 4, varianceBound));
+    }
+}
+
+// KL divergences between members of the same one-parameter family, by mean
+const KLDivergence = {
+    bernoulli: (p, q) => {
+        const eps = 1e-15;
+        p = Math.min(Math.max(p, eps), 1 - eps);
+        q = Math.min(Math.max(q, eps), 1 - eps);
+        return p * Math.log(p / q) + (1 - p) * Math.log((1 - p) / (1 - q));
+    },
+    poisson: (p, q) => q - p + (p === 0 ? 0 : p * Math.log(p / q)),
+    exponential: (p, q) => p / q - 1 - Math.log(p / q),
+    gaussian: (p, q, variance) => (p - q) * (p - q) / (2 * variance)
+};
+
+// Largest q >= mean with kl(mean, q) <= bound, found by bisection
+function klUpperBound(mean, bound, kl, upper = Infinity) {
+    let lo = mean;
+    let hi = upper;
+    if (!Number.isFinite(hi)) {
+        hi = Math.max(1, Math.abs(mean)) * 2;
+        while (kl(mean, hi) <= bound) hi *= 2;
+    }
+    for (let i = 0; i < 50; i++) {
+        const mid = (lo + hi) / 2;
+        if (kl(mean, mid) <= bound) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+    return lo;
+}
+
+// KL-UCB (Garivier & Cappé, 2011) using each arm's reward family when it is known.
+// Arms without a known family use the Gaussian KL with an estimated variance.
+class KLUCBStrategy extends IndexStrategy {
+    family(arm, mean) {
+        const family = this.options.families ? this.options.families[arm] : null;
+        
+        // Fall back when the observed payouts don't fit the declared family (e.g. after a hard-mode swap)
+        if (family === 'bernoulli' && mean >= 0 && mean <= 1) return 'bernoulli';
+        if (family === 'poisson' && mean >= 0) return 'poisson';
+        if (family === 'exponential' && mean > 0) return 'exponential';
+        return 'gaussian';
+    }
+    
+    index(arm) {
+        const n = this.counts[arm];
+        if (n === 0) return Infinity;
+        
+        const logT = Math.log(this.totalPulls + 1);
+        const bound = (logT + this.options.c * Math.log(Math.max(1, logT))) / n;
+        const mean = this.mean(arm);
+        
+        switch (this.family(arm, mean)) {
+            case 'bernoulli':
+                return klUpperBound(mean, bound, KLDivergence.bernoulli, 1);
+            case 'poisson':
+                return klUpperBound(mean, bound, KLDivergence.poisson);
+            case 'exponential':
+                return klUpperBound(mean, bound, KLDivergence.exponential);
+            default: {
+                // Shrink the variance estimate towards 1 with one pseudo-observation
+                const variance = (n * this.variance(arm) + 1) / (n + 1);
+                return mean + Math.sqrt(2 * variance * bound);
+            }
+        }
+    }
+}
+
+// Sliding-window UCB (Garivier & Moulines, 2011): only the last `window` pulls count
+class SlidingWindowUCBStrategy extends IndexStrategy {
+    reset() {
+        super.reset();
+        this.history = [];
+        this.windowCounts = new Array(this.numArms).fill(0);
+        this.windowSums = new Array(this.numArms).fill(0);
+    }
+    
+    observe(arm, reward) {
+        super.observe(arm, reward);
+        this.history.push({ arm, reward });
+        this.windowCounts[arm]++;
+        this.windowSums[arm] += reward;
+        
+        if (this.history.length > this.options.window) {
+            const oldest = this.history.shift();
+            this.windowCounts[oldest.arm]--;
+            this.windowSums[oldest.arm] -= oldest.reward;
+        }
+    }
+    
+    mean(arm) {
+        return this.windowCounts[arm] > 0 ? this.windowSums[arm] / this.windowCounts[arm] : 0;
+    }
+    
+    index(arm) {
+        const n = this.windowCounts[arm];
+        if (n === 0) return Infinity;
+        const t = Math.min(this.totalPulls + 1, this.options.window);
+        return this.mean(arm) + Math.sqrt(this.options.c * Math.log(t) / n);
+    }
+    
+    armDetails(arm) {
+        return { 'Upper bound': this.index(arm), 'Pulls in window': this.windowCounts[arm] };
+    }
+}
+
+// Discounted UCB (Kocsis & Szepesvári, 2006): past pulls are weighted by gamma^age
+class DiscountedUCBStrategy extends IndexStrategy {
+    reset() {
+        super.reset();
+        this.discountedCounts = new Array(this.numArms).fill(0);
+        this.discountedSums = new Array(this.numArms).fill(0);
+    }
+    
+    observe(arm, reward) {
+        super.observe(arm, reward);
+        const gamma = this.options.gamma;
+        for (let i = 0; i < this.numArms; i++) {
+            this.discountedCounts[i] *= gamma;
+            this.discountedSums[i] *= gamma;
+        }
+        this.discountedCounts[arm] += 1;
+        this.discountedSums[arm] += reward;
+    }
+    
+    mean(arm) {
+        return this.discountedCounts[arm] > 0 ? this.discountedSums[arm] / this.discountedCounts[arm] : 0;
+    }
+    
+    index(arm) {
+        const n = this.discountedCounts[arm];
+        if (this.counts[arm] === 0) return Infinity;
+        const total = this.discountedCounts.reduce((sum, count) => sum + count, 0);
+        return this.mean(arm) + Math.sqrt(this.options.c * Math.log(Math.max(1, total)) / n);
+    }
+    
+    armDetails(arm) {
+        return { 'Upper bound': this.index(arm), 'Discounted pulls': this.discountedCounts[arm] };
+    }
+}
+
+// UCB1 restarted per arm by a two-sided Page-Hinkley test. Deviations are
+// standardized by the arm's own spread so the thresholds work at any payout scale,
+// and a small share of uniform exploration keeps neglected arms under watch.
+class ChangeDetectionUCBStrategy extends UCB1Strategy {
+    reset() {
+        super.reset();
+        this.detectors = Array.from({ length: this.numArms }, () => this.createDetector());
+        this.changes = new Array(this.numArms).fill(0);
+    }
+    
+    createDetector() {
+        return { up: 0, down: 0 };
+    }
+    
+    selectArm() {
+        if (this.rng() < this.options.exploration) {
+            return Math.floor(this.rng() * this.numArms);
+        }
+        return super.selectArm();
+    }
+    
+    observe(arm, reward) {
+        const n = this.counts[arm];
+        if (n >= this.options.minSamples) {
+            const spread = Math.sqrt(this.variance(arm)) || 1;
+            const deviation = (reward - this.mean(arm)) / spread;
+            const detector = this.detectors[arm];
+            
+            // Cumulative deviations beyond the allowed drift, floored at zero
+            detector.up = Math.max(0, detector.up + deviation - this.options.delta);
+            detector.down = Math.max(0, detector.down - deviation - this.options.delta);
+            
+            if (detector.up > this.options.threshold || detector.down > this.options.threshold) {
+                this.changes[arm]++;
+                this.resetArm(arm);
+                this.detectors[arm] = this.createDetector();
+            }
+        }
+        super.observe(arm, reward);
+    }
+    
+    armDetails(arm) {
+        return { 'Upper bound': this.index(arm), 'Changes detected': this.changes[arm] };
+    }
+}
+
+// EXP3 (Auer et al., 2002) for adversarial bandits.
+// Payouts are rescaled to [0, 1] using the range observed so far.
+class EXP3Strategy extends BanditStrategy {
+    reset() {
+        super.reset();
+        this.logWeights = new Array(this.numArms).fill(0);
+        this.minReward = Infinity;
+        this.maxReward = -Infinity;
+    }
+    
+    probabilities() {
+        const gamma = this.options.gamma;
+        const maxLogWeight = Math.max(...this.logWeights);
+        const weights = this.logWeights.map(w => Math.exp(w - maxLogWeight));
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        return weights.map(w => (1 - gamma) * w / total + gamma / this.numArms);
+    }
+    
+    selectArm() {
+        return sampleIndex(this.probabilities(), this.rng);
+    }
+    
+    observe(arm, reward) {
+        const probability = this.probabilities()[arm];
+        super.observe(arm, reward);
+        
+        this.minReward = Math.min(this.minReward, reward);
+        this.maxReward = Math.max(this.maxReward, reward);
+        const range = this.maxReward - this.minReward;
+        const scaled = range > 0 ? (reward - this.minReward) / range : 0.5;
+        
+        // Importance-weighted reward estimate
+        this.logWeights[arm] += this.options.gamma * (scaled / probability) / this.numArms;
+    }
+    
+    armDetails(arm) {
+        return { 'Choice probability': this.probabilities()[arm] };
+    }
+}
+
+// Conjugate posteriors for Thompson sampling. Each one supports
+//   update(reward, rng), sample(rng), mean(), describe() and fits(reward)
+// where fits() says whether a payout is possible under the family.
+
+// Beta-Bernoulli with a uniform Beta(1, 1) prior. Payouts in [0, 1] are
+// turned into Bernoulli trials with that success probability (Agrawal & Goyal).
+class BetaBernoulliPosterior {
+    constructor() {
+        this.alpha = 1;
+        this.beta = 1;
+    }
+    
+    fits(reward) {
+        return reward >= 0 && reward <= 1;
+    }
+    
+    update(reward, rng) {
+        if (rng() < reward) {
+            this.alpha++;
+        } else {
+            this.beta++;
+        }
+    }
+    
+    sample(rng) {
+        return Distributions.beta(this.alpha, this.beta, rng);
+    }
+    
+    mean() {
+        return this.alpha / (this.alpha + this.beta);
+    }
+    
+    describe() {
+        return `Beta(${this.alpha}, ${this.beta})`;
+    }
+}
+
+// Normal with unknown mean and variance: Normal-Inverse-Gamma prior
+// (mu0 = 0, kappa0 = 0.01, alpha0 = 1, beta0 = 1), updated from sufficient statistics
+class NormalInverseGammaPosterior {
+    constructor(n = 0, sum = 0, sumSquares = 0) {
+        this.n = n;
+        this.sum = sum;
+        this.sumSquares = sumSquares;
+    }
+    
+    fits() {
+        return true;
+    }
+    
+    update(reward) {
+        this.n++;
+        this.sum += reward;
+        this.sumSquares += reward * reward;
+    }
+    
+    parameters() {
+        const mu0 = 0, kappa0 = 0.01, alpha0 = 1, beta0 = 1;
+        const mean = this.n > 0 ? this.sum / this.n : 0;
+        const squaredDeviations = Math.max(0, this.sumSquares - this.n * mean * mean);
+        const kappa = kappa0 + this.n;
+        return {
+            mu: (kappa0 * mu0 + this.sum) / kappa,
+            kappa,
+            alpha: alpha0 + this.n / 2,
+            beta: beta0 + squaredDeviations / 2 + kappa0 * this.n * (mean - mu0) * (mean - mu0) / (2 * kappa)
+        };
+    }
+    
+    sample(rng) {
+        const { mu, kappa, alpha, beta } = this.parameters();
+        // sigma^2 ~ Inverse-Gamma(alpha, beta), then mu ~ Normal(mu, sigma^2 / kappa)
+        const variance = 1 / Distributions.gamma(alpha, 1 / beta, rng);
+        return Distributions.normal(mu, Math.sqrt(variance / kappa), rng);
+    }
+    
+    mean() {
+        return this.parameters().mu;
+    }
+    
+    describe() {
+        const { mu, kappa, alpha, beta } = this.parameters();
+        return `NIG(${mu.toFixed(2)}, ${kappa.toFixed(2)}, ${alpha.toFixed(1)}, ${beta.toFixed(2)})`;
+    }
+}
+
+// Gamma-Poisson with a Gamma(shape 1, rate 1) prior on lambda
+class GammaPoissonPosterior {
+    constructor() {
+        this.shape = 1;
+        this.rate = 1;
+    }
+    
+    fits(reward) {
+        return reward >= 0;
+    }
+    
+    update(reward) {
+        this.shape += reward;
+        this.rate++;
+    }
+    
+    sample(rng) {
+        return Distributions.gamma(this.shape, 1 / this.rate, rng);
+    }
+    
+    mean() {
+        return this.shape / this.rate;
+    }
+    
+    describe() {
+        return `Gamma(${parseFloat(this.shape.toFixed(2))}, ${this.rate})`;
+    }
+}
+
+// Gamma-Exponential with a Gamma(shape 1, rate 1) prior on the rate; the
+// payout mean is 1 / rate
+class GammaExponentialPosterior {
+    constructor() {
+        this.shape = 1;
+        this.rate = 1;
+    }
+    
+    fits(reward) {
+        return reward > 0;
+    }
+    
+    update(reward) {
+        this.shape++;
+        this.rate += reward;
+    }
+    
+    sample(rng) {
+        return 1 / Distributions.gamma(this.shape, 1 / this.rate, rng);
+    }
+    
+    mean() {
+        return this.shape > 1 ? this.rate / (this.shape - 1) : Infinity;
+    }
+    
+    describe() {
+        return `Gamma(${this.shape}, ${this.rate.toFixed(2)}) on rate`;
+    }
+}
+
+// Online bootstrap (Eckles & Kaptein, 2014) for arms without a conjugate family.
+// Each replicate adds every payout with weight 0 or 2 ("double or nothing").
+class BootstrapPosterior {
+    constructor(replicates) {
+        this.replicates = Array.from({ length: replicates }, () => ({ sum: 0, weight: 0 }));
+        this.sum = 0;
+        this.n = 0;
+    }
+    
+    fits() {
+        return true;
+    }
+    
+    update(reward, rng) {
+        this.sum += reward;
+        this.n++;
+        this.replicates.forEach(replicate => {
+            if (rng() < 0.5) {
+                replicate.sum += 2 * reward;
+                replicate.weight += 2;
+            }
+        });
+    }
+    
+    replicateMean(replicate) {
+        return replicate.weight > 0 ? replicate.sum / replicate.weight : this.mean();
+    }
+    
+    sample(rng) {
+        const replicate = this.replicates[Math.floor(rng() * this.replicates.length)];
+        return this.replicateMean(replicate);
+    }
+    
+    mean() {
+        return this.n > 0 ? this.sum / this.n : 0;
+    }
+    
+    describe() {
+        const means = this.replicates.map(replicate => this.replicateMean(replicate));
+        const mean = means.reduce((sum, m) => sum + m, 0) / means.length;
+        const spread = Math.sqrt(means.reduce((sum, m) => sum + (m - mean) * (m - mean), 0) / means.length);
+        return `Bootstrap (${this.replicates.length} replicates, sd ${spread.toFixed(3)})`;
+    }
+}
+
+// Pick the conjugate posterior for a reward family, or the bootstrap when there is none
+function createPosterior(family, options) {
+    switch (family) {
+        case 'bernoulli':
+            return new BetaBernoulliPosterior();
+        case 'gaussian':
+            return new NormalInverseGammaPosterior();
+        case 'poisson':
+            return new GammaPoissonPosterior();
+        case 'exponential':
+            return new GammaExponentialPosterior();
+        default:
+            return new BootstrapPosterior(options.replicates);
+    }
+}
+
+// Thompson sampling: draw each arm's mean from its posterior and play the best draw
+class ThompsonSamplingStrategy extends BanditStrategy {
+    reset() {
+        super.reset();
+        const families = this.options.families || [];
+        this.posteriors = this.counts.map((count, arm) => createPosterior(families[arm], this.options));
+    }
+    
+    selectArm() {
+        const untried = this.untriedArm();
+        if (untried !== -1) return untried;
+        return argmax(this.posteriors.map(posterior => posterior.sample(this.rng)));
+    }
+    
+    observe(arm, reward) {
+        super.observe(arm, reward);
+        
+        // A payout the family can't produce (e.g. after a hard-mode swap) means the
+        // conjugate model is wrong, so switch that arm to a Normal-Inverse-Gamma model
+        if (!this.posteriors[arm].fits(reward)) {
+            this.posteriors[arm] = new NormalInverseGammaPosterior(
+                this.counts[arm], this.sums[arm], this.sumSquares[arm]
+            );
+            return;
+        }
+        this.posteriors[arm].update(reward, this.rng);
+    }
+    
+    getPosterior(arm) {
+        return this.posteriors[arm];
+    }
+    
+    armDetails(arm) {
+        return {
+            'Posterior': this.posteriors[arm].describe(),
+            'Posterior mean': this.posteriors[arm].mean()
+        };
+    }
+}
+
+// Strategy registry: label, short description, default options and a factory
+const StrategyRegistry = {
+    'epsilon-greedy': {
+        label: 'Epsilon-Greedy',
+        description: 'Plays the best average so far, but explores a random machine 10% of the time.',
+        defaults: { epsilon: 0.1 },
+        create: (numArms, options) => new EpsilonGreedyStrategy(numArms, options)
+    },
+    'decaying-epsilon-greedy': {
+        label: 'Decaying Epsilon-Greedy',
+        description: 'Like epsilon-greedy, but explores less as pulls accumulate (epsilon = 5K / t).',
+        defaults: { c: 5 },
+        create: (numArms, options) => new DecayingEpsilonGreedyStrategy(numArms, options)
+    },
+    'softmax': {
+        label: 'Softmax (Boltzmann)',
+        description: 'Picks machines at random, favouring higher averages (temperature 0.5).',
+        defaults: { temperature: 0.5 },
+        create: (numArms, options) => new SoftmaxStrategy(numArms, options)
+    },
+    'ucb1': {
+        label: 'UCB1',
+        description: 'Plays the machine with the highest upper confidence bound: mean + sqrt(2 ln t / n).',
+        defaults: {},
+        create: (numArms, options) => new UCB1Strategy(numArms, options)
+    },
+    'ucb1-tuned': {
+        label: 'UCB1-Tuned',
+        description: 'UCB1 with an exploration bonus scaled by each machine\'s observed variance (capped by the range of payouts seen).',
+        defaults: {},
+        create: (numArms, options) => new UCB1TunedStrategy(numArms, options)
+    },
+    'kl-ucb': {
+        label: 'KL-UCB',
+        description: 'Upper confidence bounds from the KL divergence of each machine\'s reward family.',
+        defaults: { c: 0 },
+        create: (numArms, options) => new KLUCBStrategy(numArms, options)
+    },
+    'sliding-window-ucb': {
+        label: 'Sliding-Window UCB',
+        description: 'UCB computed from the last 200 pulls only, so old payouts are forgotten after a swap.',
+        defaults: { window: 200, c: 2 },
+        nonStationary: true,
+        create: (numArms, options) => new SlidingWindowUCBStrategy(numArms, options)
+    },
+    'discounted-ucb': {
+        label: 'Discounted UCB',
+        description: 'UCB with every past pull discounted by 0.99 per round, so recent payouts dominate.',
+        defaults: { gamma: 0.99, c: 2 },
+        nonStationary: true,
+        create: (numArms, options) => new DiscountedUCBStrategy(numArms, options)
+    },
+    'change-detection-ucb': {
+        label: 'UCB with Change Detection',
+        description: 'UCB1 that resets a machine\'s estimates when a Page-Hinkley test detects its payouts have shifted.',
+        defaults: { delta: 0.5, threshold: 8, minSamples: 10, exploration: 0.05 },
+        nonStationary: true,
+        create: (numArms, options) => new ChangeDetectionUCBStrategy(numArms, options)
+    },
+    'thompson': {
+        label: 'Thompson Sampling',
+        description: 'Draws each machine\'s mean from its posterior (Beta, Normal-Inverse-Gamma or Gamma; bootstrap for other machines) and plays the best draw.',
+        defaults: { replicates: 100 },
+        create: (numArms, options) => new ThompsonSamplingStrategy(numArms, options)
+    },
+    'exp3': {
+        label: 'EXP3',
+        description: 'Exponential weights for adversarial bandits, exploring 10% of the time.',
+        defaults: { gamma: 0.1 },
+        create: (numArms, options) => new EXP3Strategy(numArms, options)
+    }
+};
+
+const DEFAULT_STRATEGY = 'ucb1';
+
+// Create a strategy from the registry, filling in its default options
+function createStrategy(strategyId, numArms, options = {}) {
+    const entry = StrategyRegistry[strategyId];
+    if (!entry) {
+        throw new Error(`Unknown strategy "${strategyId}"`);
+    }
+    return entry.create(numArms, { ...entry.defaults, ...options });
+}
+
+export {
+    BanditStrategy,
+    IndexStrategy,
+    StrategyRegistry,
+    DEFAULT_STRATEGY,
+    KLDivergence,
+    createStrategy,
+    createPosterior,
+    argmax,
+    sampleIndex
+};
@@ -0,0 +1,129 @@
+// Parameter validation for machine configurations
+//
+// The same checks run on the config form as the user types and on any
+// configuration loaded from elsewhere (imported files, shared links).
+import { DistributionRegistry } from './distributions.js';
+
+const MIN_MACHINES = 2;
+const MAX_MACHINES = 8;
+
+// Check one numeric parameter against its schema entry; returns a message or null
+function validateParameterValue(value, param) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return 'Enter a number';
+    if (!Number.isFinite(value)) return 'Must be a finite number';
+    if (param.integer && !Number.isInteger(value)) return 'Must be a whole number';
+    if (param.min !== undefined) {
+        if (param.exclusiveMin && value <= param.min) return `Must be greater than ${param.min}`;
+        if (!param.exclusiveMin && value < param.min) return `Must be at least ${param.min}`;
+    }
+    if (param.max !== undefined && value > param.max) return `Must be at most ${param.max}`;
+    return null;
+}
+
+// Validate the parameters of a distribution (premade or custom).
+// Returns a list of { index, message } (index -1 for the whole machine).
+function validateParameters(distributionType, parameters) {
+    const distribution = DistributionRegistry[distributionType];
+    if (!distribution) {
+        return [{ index: -1, message: `Unknown distribution "${distributionType}"` }];
+    }
+    if (distribution.custom) {
+        return validateCustomParameters(distributionType, parameters);
+    }
+    if (!Array.isArray(parameters) || parameters.length !== distribution.params.length) {
+        return [{ index: -1, message: `${distribution.label} needs ${distribution.params.length} parameter(s)` }];
+    }
+    
+    const errors = [];
+    distribution.params.forEach((param, index) => {
+        const message = validateParameterValue(parameters[index], param);
+        if (message) {
+            errors.push({ index, message });
+        }
+    });
+    
+    // Checks across parameters only make sense once each one is valid
+    if (errors.length === 0 && distribution.validate) {
+        errors.push(...distribution.validate(parameters));
+    }
+    
+    return errors;
+}
+
+// Validate a custom definition as typed into the config form
+function validateDefinition(distributionType, text) {
+    let parameters;
+    try {
+        parameters = DistributionRegistry[distributionType].parse(text);
+    } catch (error) {
+        return [{ index: 0, message: error.message }];
+    }
+    return validateComponents(parameters);
+}
+
+// Validate an already-parsed custom definition by round-tripping it through its text form
+function validateCustomParameters(distributionType, parameters) {
+    const distribution = DistributionRegistry[distributionType];
+    let text;
+    try {
+        text = distribution.toText(parameters);
+    } catch (error) {
+        return [{ index: 0, message: `Invalid ${distribution.label.toLowerCase()} definition` }];
+    }
+    return validateDefinition(distributionType, text);
+}
+
+// Mixture components must satisfy their own distribution's constraints
+function validateComponents(parameters) {
+    if (!parameters.components) return [];
+    
+    const errors = [];
+    parameters.components.forEach((component, line) => {
+        const distribution = DistributionRegistry[component.distribution];
+        validateParameters(component.distribution, component.parameters).forEach(error => {
+            const param = distribution.params[error.index];
+            const name = param ? `${distribution.label} ${param.label.toLowerCase()}` : distribution.label;
+            errors.push({ index: 0, message: `Line ${line + 1}: ${name}: ${error.message}` });
+        });
+    });
+    return errors;
+}
+
+// Validate a complete list of machine configs (form, imported or URL-loaded).
+// Returns a list of readable messages; an empty list means the configs are valid.
+function validateMachineConfigs(configs) {
+    if (!Array.isArray(configs)) {
+        return ['Machine configurations must be a list'];
+    }
+    
+    const errors = [];
+    if (configs.length < MIN_MACHINES || configs.length > MAX_MACHINES) {
+        errors.push(`Between ${MIN_MACHINES} and ${MAX_MACHINES} machines are required`);
+    }
+    
+    configs.forEach((config, i) => {
+        if (!config || typeof config !== 'object') {
+            errors.push(`Machine ${i + 1}: invalid configuration`);
+            return;
+        }
+        if (config.id !== i) {
+            errors.push(`Machine ${i + 1}: expected id ${i}`);
+        }
+        
+        const distribution = DistributionRegistry[config.distribution];
+        validateParameters(config.distribution, config.parameters).forEach(error => {
+            const param = distribution && !distribution.custom ? distribution.params[error.index] : null;
+            errors.push(`Machine ${i + 1}${param ? ` ${param.label}` : ''}: ${error.message}`);
+        });
+    });
+    
+    return errors;
+}
+
+export {
+    MIN_MACHINES,
+    MAX_MACHINES,
+    validateParameters,
+    validateDefinition,
+    validateMachineConfigs
+};
@@ -0,0 +1,62 @@
+// Tests for the full-history series and LTTB downsampling (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeriesBuffer, lttbIndices, buildVisiblePoints } from '../js/chartHistory.js';
+
+function bufferOf(values) {
+    const buffer = new SeriesBuffer(4);
+    values.forEach(value => buffer.push(value));
+    return buffer;
+}
+
+test('series grow past their capacity and store null as NaN', () => {
+    const buffer = bufferOf([1, 2, null, 4, 5, 6]);
+    assert.equal(buffer.length, 6);
+    assert.equal(buffer.get(5), 6);
+    assert.ok(Number.isNaN(buffer.get(2)));
+});
+
+test('short ranges are kept whole', () => {
+    assert.deepEqual(lttbIndices([1, 2, 3, 4, 5], 1, 3, 10), [1, 2, 3]);
+    assert.deepEqual(lttbIndices([1, 2, 3, 4, 5], 0, 4, 2), [0, 1, 2, 3, 4]);
+});
+
+test('long ranges are cut to the threshold, keeping the ends and order', () => {
+    const values = Array.from({ length: 10000 }, (_, i) => Math.sin(i / 100));
+    const indices = lttbIndices(values, 0, 9999, 500);
+    assert.equal(indices.length, 500);
+    assert.equal(indices[0], 0);
+    assert.equal(indices.at(-1), 9999);
+    assert.ok(indices.every((index, i) => i === 0 || index > indices[i - 1]));
+});
+
+test('spikes survive downsampling and gaps only win empty buckets', () => {
+    const values = new Array(1000).fill(0);
+    values[437] = 50;
+    values[600] = NaN;
+    const indices = lttbIndices(values, 0, 999, 50);
+    assert.ok(indices.includes(437));
+    assert.ok(!indices.includes(600));
+    
+    const allGaps = new Array(100).fill(NaN);
+    assert.equal(lttbIndices(allGaps, 0, 99, 10).length, 10);
+});
+
+test('visible points follow the zoomed range and share indices across series', () => {
+    const length = 5000;
+    const first = bufferOf(Array.from({ length }, (_, i) => i));
+    const second = bufferOf(Array.from({ length }, (_, i) => (i === 10 ? null : -i)));
+    
+    const whole = buildVisiblePoints({ width: 300 }, [first, second]);
+    assert.equal(whole.pulls.length, 300);
+    assert.deepEqual(whole.points[1].map(point => point.x), whole.pulls);
+    
+    const zoomed = buildVisiblePoints({
+        width: 300,
+        isZoomedOrPanned: () => true,
+        scales: { x: { min: 5, max: 40 } }
+    }, [first, second]);
+    assert.deepEqual(zoomed.pulls, Array.from({ length: 38 }, (_, i) => 4 + i));
+    assert.equal(zoomed.points[1][6].y, null);
+    assert.equal(zoomed.points[1][7].y, -11);
+});
@@ -0,0 +1,30 @@
+// Tests for the distribution registry (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DistributionRegistry, isDiscrete } from '../js/distributions.js';
+
+const mixture = DistributionRegistry.mixture;
+
+test('discrete mixtures have whole-number quantiles that match their probabilities', () => {
+    const parameters = mixture.parse('0.5 poisson 3\n0.5 bernoulli 0.4');
+    assert.ok(isDiscrete({ distribution: 'mixture', parameters }));
+    
+    const support = new Set();
+    for (let i = 1; i < 1000; i++) {
+        support.add(mixture.quantile(i / 1000, parameters));
+    }
+    assert.ok([...support].every(Number.isInteger));
+    assert.ok(support.has(0) && support.has(1) && support.has(3));
+    assert.ok([...support].every(value => mixture.density(value, parameters) > 0));
+    
+    // P(0) = 0.5 e^-3 + 0.5 * 0.6, so the median is 1
+    assert.equal(mixture.quantile(0.2, parameters), 0);
+    assert.equal(mixture.quantile(0.5, parameters), 1);
+});
+
+test('continuous mixtures still invert their CDF', () => {
+    const parameters = mixture.parse('0.5 normal -1 1\n0.5 normal 1 1');
+    assert.ok(Math.abs(mixture.quantile(0.5, parameters)) < 1e-9);
+    const q = mixture.quantile(0.9, parameters);
+    assert.ok(Math.abs(mixture.cdf(q, parameters) - 0.9) < 1e-9);
+});
@@ -0,0 +1,133 @@
+// Tests for hard-mode drift settings and offsets (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_DRIFT,
+    normalizeDrift,
+    validateDrift,
+    hasMeanDrift,
+    isChangePoint,
+    DriftModel,
+    applyDrift,
+    getTrueMeans,
+    findBestMeanIndex,
+    describeDrift
+} from '../js/drift.js';
+import { runExperiment } from '../js/experiment.js';
+
+function close(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, message || `${actual} is not close to ${expected}`);
+}
+
+test('settings are completed from the defaults with sorted, unique change points', () => {
+    const drift = normalizeDrift({ changePoints: [30, 10, 30] });
+    assert.deepEqual(drift.changePoints, [10, 30]);
+    assert.equal(drift.swapProbability, DEFAULT_DRIFT.swapProbability);
+    assert.ok(isChangePoint(drift, 10));
+    assert.ok(!isChangePoint(drift, 11));
+    assert.ok(!hasMeanDrift(drift));
+    assert.ok(hasMeanDrift(normalizeDrift({ degradeRate: 0.1 })));
+});
+
+test('validation reports each bad field', () => {
+    assert.deepEqual(validateDrift(DEFAULT_DRIFT, 3), []);
+    const fields = validateDrift({
+        swapProbability: 1.5,
+        changePoints: [0, 2.5],
+        randomWalkStep: -1,
+        periodicAmplitude: NaN,
+        periodicPeriod: 1,
+        degradeMachine: 3,
+        degradeRate: 0.1,
+        degradeLimit: -0.5
+    }, 3).map(error => error.field);
+    assert.deepEqual(fields, ['swapProbability', 'changePoints', 'randomWalkStep', 'periodicAmplitude',
+        'periodicPeriod', 'degradeMachine', 'degradeLimit']);
+    // The degrading machine is only checked when something degrades
+    assert.deepEqual(validateDrift({ degradeMachine: 7 }, 3), []);
+    assert.equal(validateDrift(null, 3)[0].message, 'Drift settings must be an object');
+});
+
+test('periodic offsets are staggered sine waves and degradation stops at its limit', () => {
+    const model = new DriftModel({ periodicAmplitude: 2, periodicPeriod: 100, degradeMachine: 1,
+        degradeRate: 0.01, degradeLimit: 0.5 }, 'seed', 4);
+    const at25 = model.offsetsAt(25);
+    close(at25[0], 2);
+    close(at25[2], -2);
+    close(at25[1], 2 * Math.sin(2 * Math.PI * 0.5) - 0.25);
+    close(model.offsetsAt(1000)[1], 2 * Math.sin(2 * Math.PI * 10.25) - 0.5);
+    assert.ok(model.offsetsAt(0).every((offset, id) => Math.abs(offset - 2 * Math.sin(Math.PI * id / 2)) < 1e-9));
+});
+
+test('random walks depend only on the seed and round, in any order', () => {
+    const settings = { randomWalkStep: 0.1 };
+    const forward = new DriftModel(settings, 'walk', 3);
+    const later = forward.offsetsAt(200);
+    const earlier = forward.offsetsAt(50);
+    
+    const fresh = new DriftModel(settings, 'walk', 3);
+    assert.deepEqual(fresh.offsetsAt(50), earlier);
+    assert.deepEqual(fresh.offsetsAt(200), later);
+    assert.deepEqual(new DriftModel(settings, 'walk', 3).offsetsAt(0), [0, 0, 0]);
+    assert.notDeepEqual(new DriftModel(settings, 'other', 3).offsetsAt(200), later);
+});
+
+test('offsets move counts and 0/1 machines through their parameters', () => {
+    const bernoulli = applyDrift({ id: 0, distribution: 'bernoulli', parameters: [0.6] }, 0.7);
+    assert.deepEqual(bernoulli.config.parameters, [1]);
+    assert.equal(bernoulli.shift, 0);
+    
+    const poisson = applyDrift({ id: 0, distribution: 'poisson', parameters: [3] }, -1);
+    assert.deepEqual(poisson.config.parameters, [2]);
+    
+    const normal = applyDrift({ id: 0, distribution: 'normal', parameters: [1, 1] }, -0.25);
+    assert.deepEqual(normal.config.parameters, [1, 1]);
+    assert.equal(normal.shift, -0.25);
+    
+    const unchanged = { id: 0, distribution: 'normal', parameters: [1, 1] };
+    assert.equal(applyDrift(unchanged, 0).config, unchanged);
+});
+
+test('true means follow the offsets, and the best one is found', () => {
+    const configs = [
+        { id: 0, distribution: 'normal', parameters: [1, 1] },
+        { id: 1, distribution: 'bernoulli', parameters: [0.5] },
+        { id: 2, distribution: 'exponential', parameters: [2] }
+    ];
+    assert.deepEqual(getTrueMeans(configs), [1, 0.5, 0.5]);
+    const means = getTrueMeans(configs, [-0.5, 0.25, 1]);
+    assert.deepEqual(means, [0.5, 0.75, 1.5]);
+    assert.equal(findBestMeanIndex(means), 2);
+    assert.equal(findBestMeanIndex([NaN, 1, NaN]), 1);
+    assert.equal(findBestMeanIndex([NaN, NaN]), 0);
+    assert.equal(findBestMeanIndex([]), -1);
+});
+
+test('settings are described in a sentence', () => {
+    assert.equal(describeDrift(normalizeDrift({ changePoints: [10], degradeMachine: 1, degradeRate: 0.01 })),
+        '5% chance of a swap per pull, swaps after pull 10, Machine 2 loses 0.01 per pull, up to 1 in all');
+});
+
+test('experiments measure regret against each pull\'s drifted best machine', () => {
+    const options = {
+        configs: [
+            { id: 0, distribution: 'normal', parameters: [1, 1] },
+            { id: 1, distribution: 'normal', parameters: [0, 1] }
+        ],
+        strategyIds: ['ucb1'],
+        episodes: 2,
+        horizon: 300,
+        seed: 'drift'
+    };
+    const plain = runExperiment(options);
+    // Settings that never change anything give the same episodes as no hard mode
+    assert.deepEqual(runExperiment({ ...options, drift: { swapProbability: 0 } }), plain);
+    
+    // Machine 1 degrades below machine 2 after 100 pulls, so the best machine changes
+    const degraded = runExperiment({ ...options,
+        drift: { swapProbability: 0, degradeMachine: 0, degradeRate: 0.01, degradeLimit: 2 } });
+    const regret = degraded.strategies[0].regret.mean;
+    assert.equal(degraded.bestMachineIndex, 0);
+    assert.ok(regret.every((value, c) => value >= 0 && (c === 0 || value >= regret[c - 1])));
+    assert.notDeepEqual(regret, plain.strategies[0].regret.mean);
+});
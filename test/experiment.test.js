@@ -0,0 +1,108 @@
+// Tests for the headless experiment runner (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    runExperiment,
+    resultsToRows,
+    RESULT_COLUMNS,
+    validateExperimentOptions,
+    createCheckpoints,
+    valueAtPull,
+    summarize
+} from '../js/experiment.js';
+
+const CONFIGS = [
+    { id: 0, distribution: 'bernoulli', parameters: [0.3] },
+    { id: 1, distribution: 'bernoulli', parameters: [0.7] }
+];
+
+function options(overrides = {}) {
+    return { configs: CONFIGS, strategyIds: ['ucb1', 'thompson'], episodes: 5, horizon: 200, seed: 'test', ...overrides };
+}
+
+test('checkpoints are evenly spread and end at the horizon', () => {
+    assert.deepEqual(createCheckpoints(10, 5), [2, 4, 6, 8, 10]);
+    assert.deepEqual(createCheckpoints(3, 100), [1, 2, 3]);
+    assert.equal(createCheckpoints(1000).at(-1), 1000);
+});
+
+test('summarize gives the mean and interpolated percentiles, skipping NaN', () => {
+    const summary = summarize([4, NaN, 0, 2, 1, 3]);
+    assert.equal(summary.mean, 2);
+    assert.equal(summary.p50, 2);
+    assert.equal(summary.p25, 1);
+    assert.ok(Math.abs(summary.p5 - 0.2) < 1e-12);
+    assert.ok(Number.isNaN(summarize([]).mean));
+});
+
+test('infinite values keep their percentiles', () => {
+    const summary = summarize([1, Infinity, Infinity, Infinity]);
+    assert.equal(summary.mean, Infinity);
+    assert.equal(summary.p50, Infinity);
+    assert.equal(summary.p95, Infinity);
+    assert.equal(summary.p5, 1);
+});
+
+test('a machine with an infinite mean gives infinite regret bands, not gaps', () => {
+    const results = runExperiment(options({
+        configs: [CONFIGS[0], { id: 1, distribution: 'pareto', parameters: [1, 0.9] }],
+        strategyIds: ['ucb1'],
+        horizon: 50
+    }));
+    const { regret, reward } = results.strategies[0];
+    assert.equal(results.bestMachineIndex, 1);
+    assert.ok(['mean', 'p5', 'p50', 'p95'].every(stat => regret[stat].at(-1) === Infinity));
+    assert.ok(['mean', 'p5', 'p50', 'p95'].every(stat => !Number.isNaN(reward[stat].at(-1))));
+});
+
+test('valueAtPull interpolates between checkpoints', () => {
+    assert.equal(valueAtPull([10, 20], [5, 15], 0), 0);
+    assert.equal(valueAtPull([10, 20], [5, 15], 5), 2.5);
+    assert.equal(valueAtPull([10, 20], [5, 15], 15), 10);
+    assert.equal(valueAtPull([10, 20], [5, 15], 21), null);
+});
+
+test('invalid options are all reported', () => {
+    const errors = validateExperimentOptions(options({ episodes: 0, horizon: 1.5, strategyIds: ['nope'] }));
+    assert.ok(errors.some(error => error.startsWith('Episodes')));
+    assert.ok(errors.some(error => error.startsWith('Pulls per episode')));
+    assert.ok(errors.includes('Unknown strategy "nope"'));
+    assert.deepEqual(validateExperimentOptions(options()), []);
+    assert.throws(() => runExperiment(options({ episodes: 0 })), /Episodes/);
+});
+
+test('results aggregate every episode and are reproducible from the seed', () => {
+    const progress = [];
+    const results = runExperiment(options(), (completed, total) => progress.push([completed, total]));
+    
+    assert.equal(results.episodes, 5);
+    assert.equal(results.bestMachineIndex, 1);
+    assert.deepEqual(progress.at(-1), [5, 5]);
+    results.strategies.forEach(strategy => {
+        assert.equal(strategy.finalRewards.length, 5);
+        assert.equal(strategy.regret.mean.length, results.checkpoints.length);
+        assert.ok(strategy.regret.p5.every((value, c) => value <= strategy.regret.p95[c]));
+        const total = strategy.armFrequencies.reduce((sum, frequency) => sum + frequency, 0);
+        assert.ok(Math.abs(total - 1) < 1e-12);
+        // Pseudo-regret only grows, by the 0.4 gap per pull of the worse machine
+        assert.ok(strategy.regret.mean.every((value, c) => c === 0 || value >= strategy.regret.mean[c - 1]));
+        assert.ok(Math.abs(strategy.regret.mean.at(-1) - 0.4 * 200 * strategy.armFrequencies[0]) < 1e-9);
+    });
+    
+    assert.deepEqual(runExperiment(options()), results);
+});
+
+test('identical machines have no regret', () => {
+    const configs = [CONFIGS[0], { ...CONFIGS[0], id: 1 }];
+    const results = runExperiment(options({ configs }));
+    results.strategies.forEach(strategy => assert.ok(strategy.regret.mean.every(value => value === 0)));
+});
+
+test('rows have one entry per strategy and checkpoint with every column', () => {
+    const results = runExperiment(options({ episodes: 2, horizon: 20 }));
+    const rows = resultsToRows(results);
+    assert.equal(rows.length, 2 * results.checkpoints.length);
+    rows.forEach(row => assert.deepEqual(Object.keys(row).sort(), RESULT_COLUMNS.slice().sort()));
+    assert.equal(rows[0].strategy, 'ucb1');
+    assert.equal(rows.at(-1).pull, 20);
+});
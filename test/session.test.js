@@ -0,0 +1,96 @@
+// Tests for session validation and parsing (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SESSION_VERSION, validateSession, parseSession, serializeSession } from '../js/session.js';
+
+const MACHINES = [
+    { id: 0, distribution: 'normal', parameters: [1, 1] },
+    { id: 1, distribution: 'bernoulli', parameters: [0.6] }
+];
+const SWAPPED = [
+    { id: 0, distribution: 'bernoulli', parameters: [0.6] },
+    { id: 1, distribution: 'normal', parameters: [1, 1] }
+];
+
+function pull(number, machineId, roundRewards) {
+    return {
+        pull: number,
+        machineId,
+        payout: roundRewards[machineId],
+        roundRewards,
+        offsets: [0, 0],
+        benchmark: { strategyId: 'ucb1', machineId: 1, payout: roundRewards[1] }
+    };
+}
+
+// A session of two pulls with a hard-mode swap between them
+function createTestSession() {
+    return {
+        format: 'statistical-slot-machines-session',
+        version: SESSION_VERSION,
+        savedAt: '2024-01-01T00:00:00.000Z',
+        seed: 'session-test',
+        randomState: 12345,
+        hardMode: true,
+        drift: { swapProbability: 0.05, changePoints: [1], randomWalkStep: 0, periodicAmplitude: 0,
+            periodicPeriod: 200, degradeMachine: 0, degradeRate: 0, degradeLimit: 1 },
+        benchmarkStrategyId: 'ucb1',
+        originalConfigs: MACHINES,
+        currentConfigs: SWAPPED,
+        pulls: [pull(1, 0, [0.8, 1]), pull(2, 1, [1, 1.4])],
+        permutations: [{ pull: 1, before: MACHINES, after: SWAPPED }]
+    };
+}
+
+test('a well-formed session is valid and survives a round trip', () => {
+    const session = createTestSession();
+    assert.deepEqual(validateSession(session), []);
+    assert.deepEqual(parseSession(serializeSession(session)), session);
+});
+
+test('files that are not sessions, or from another version, are rejected', () => {
+    assert.deepEqual(validateSession({ format: 'something-else' }), ['Not a saved slot machine session']);
+    assert.match(validateSession({ ...createTestSession(), version: SESSION_VERSION + 1 })[0], /newer than this app supports/);
+    assert.throws(() => parseSession('{ not json'), /^Error: Not valid JSON/);
+});
+
+test('every problem with the settings is reported', () => {
+    const errors = validateSession({
+        ...createTestSession(),
+        seed: '',
+        hardMode: 'yes',
+        benchmarkStrategyId: 'psychic'
+    });
+    assert.deepEqual(errors, ['Missing seed', 'Hard mode must be true or false', 'Unknown benchmark strategy "psychic"']);
+    
+    const drift = { ...createTestSession().drift, degradeLimit: -1 };
+    assert.deepEqual(validateSession({ ...createTestSession(), drift }), ['Drift: Total degradation must be 0 or more']);
+});
+
+test('pull records are checked against the machines', () => {
+    const session = createTestSession();
+    session.pulls[0] = { ...session.pulls[0], payout: 5 };
+    session.pulls[1] = { ...session.pulls[1], offsets: [0] };
+    assert.deepEqual(validateSession(session), [
+        'Pull 1: payout does not match the round rewards',
+        'Pull 2: drift offsets must list 2 numbers'
+    ]);
+    
+    // Sessions saved before drift settings existed have no offsets
+    const older = createTestSession();
+    older.pulls = older.pulls.map(({ offsets, ...record }) => record);
+    assert.deepEqual(validateSession(older), []);
+});
+
+test('swaps must follow on from each other and end at the current machines', () => {
+    const unswapped = { ...createTestSession(), permutations: [] };
+    assert.deepEqual(validateSession(unswapped), ['Current machines do not match the permutation history']);
+    
+    const late = createTestSession();
+    late.permutations = [{ ...late.permutations[0], pull: 3 }];
+    assert.deepEqual(validateSession(late), ['Permutation 1: invalid pull number']);
+    
+    const wrongStart = createTestSession();
+    wrongStart.permutations = [{ ...wrongStart.permutations[0], before: SWAPPED }];
+    assert.ok(validateSession(wrongStart).includes('Permutation 1: does not follow the previous machines'));
+});
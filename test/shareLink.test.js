@@ -0,0 +1,63 @@
+// Tests for encoding and parsing share links (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeShareHash, parseShareHash } from '../js/shareLink.js';
+import { DEFAULT_DRIFT, normalizeDrift } from '../js/drift.js';
+
+const CONFIGS = [
+    { id: 0, distribution: 'normal', parameters: [1, 1] },
+    { id: 1, distribution: 'bernoulli', parameters: [0.6] },
+    { id: 2, distribution: 'mixture', parameters: { components: [
+        { weight: 0.7, distribution: 'normal', parameters: [0, 1] },
+        { weight: 0.3, distribution: 'normal', parameters: [5, 1] }
+    ] } }
+];
+
+test('a scenario survives a round trip through its link', () => {
+    const drift = normalizeDrift({ swapProbability: 0.1, changePoints: [50, 20], randomWalkStep: 0.02,
+        periodicAmplitude: 0.5, periodicPeriod: 100, degradeMachine: 1, degradeRate: 0.001, degradeLimit: 0.3 });
+    const scenario = { configs: CONFIGS, seed: 'class 3', hardMode: true, drift, hideDistributions: true };
+    
+    const parsed = parseShareHash(encodeShareHash(scenario));
+    assert.equal(parsed.seed, 'class 3');
+    assert.equal(parsed.hardMode, true);
+    assert.equal(parsed.hideDistributions, true);
+    assert.deepEqual(parsed.drift, drift);
+    assert.deepEqual(parsed.configs.slice(0, 2), CONFIGS.slice(0, 2));
+    assert.deepEqual(parsed.configs[2].parameters.components.map(c => c.weight), [0.7, 0.3]);
+});
+
+test('default settings are left out of the link', () => {
+    const hash = encodeShareHash({ configs: CONFIGS.slice(0, 2), hardMode: false, hideDistributions: false });
+    assert.equal(hash, '#v=1&m=normal%3A1%2C1&m=bernoulli%3A0.6');
+    assert.deepEqual(parseShareHash(hash).drift, normalizeDrift(DEFAULT_DRIFT));
+});
+
+test('hashes without machines are not scenarios', () => {
+    assert.equal(parseShareHash(''), null);
+    assert.equal(parseShareHash('#seed=abc'), null);
+});
+
+test('older degrade links without a total use the default', () => {
+    const { drift } = parseShareHash('#v=1&m=normal:1,1&m=normal:2,1&degrade=2,0.01');
+    assert.equal(drift.degradeMachine, 1);
+    assert.equal(drift.degradeRate, 0.01);
+    assert.equal(drift.degradeLimit, DEFAULT_DRIFT.degradeLimit);
+});
+
+test('malformed links list every problem', () => {
+    assert.throws(() => parseShareHash('#v=2&m=normal:1,1'), /Unsupported link version "2"/);
+    assert.throws(() => parseShareHash('#v=1&m=normal:1,1&m=lottery:5'), /Machine 2: unknown distribution "lottery"/);
+    
+    let message = '';
+    try {
+        parseShareHash('#v=1&m=normal:1,1&m=normal:2,1&hard=yes&seed=%20&swap=2&degrade=5,0.1');
+    } catch (error) {
+        message = error.message;
+    }
+    const lines = message.split('\n');
+    assert.ok(lines.includes('"hard" must be 0 or 1'));
+    assert.ok(lines.includes('The seed is empty'));
+    assert.ok(lines.includes('Drift: Swap chance must be between 0% and 100%'));
+    assert.ok(lines.includes('Drift: Degrading machine must be between 1 and 2'));
+});
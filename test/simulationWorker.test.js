@@ -0,0 +1,73 @@
+// Tests for the simulation worker's message protocol (node --test)
+//
+// The worker script is loaded with a stand-in for the worker global scope, so
+// messages can be sent to it and its replies collected without a browser.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const listeners = [];
+let replies = [];
+globalThis.self = {
+    addEventListener: (type, listener) => listeners.push(listener),
+    postMessage: message => replies.push(message)
+};
+await import('../js/simulationWorker.js');
+
+function send(data) {
+    listeners.forEach(listener => listener({ data }));
+}
+
+// Wait for a reply of one of the given types
+function waitFor(...types) {
+    return new Promise(resolve => {
+        const check = () => {
+            const reply = replies.find(message => types.includes(message.type));
+            if (reply) resolve(reply);
+            else setTimeout(check, 5);
+        };
+        check();
+    });
+}
+
+const OPTIONS = {
+    configs: [
+        { id: 0, distribution: 'normal', parameters: [0, 1] },
+        { id: 1, distribution: 'normal', parameters: [1, 1] }
+    ],
+    strategyIds: ['ucb1'],
+    episodes: 4,
+    horizon: 50,
+    seed: 'worker'
+};
+
+test('an experiment reports progress and finishes with its results', async () => {
+    replies = [];
+    send({ type: 'start', options: OPTIONS });
+    const done = await waitFor('done', 'error');
+    
+    assert.equal(done.type, 'done');
+    assert.equal(done.results.episodes, 4);
+    assert.deepEqual(replies.filter(message => message.type === 'progress').at(-1), { type: 'progress', completed: 4, total: 4 });
+});
+
+test('invalid options and unknown messages are reported as errors', async () => {
+    replies = [];
+    send({ type: 'start', options: { ...OPTIONS, episodes: 0 } });
+    assert.match((await waitFor('error')).message, /Episodes/);
+    
+    replies = [];
+    send({ type: 'pause' });
+    assert.equal((await waitFor('error')).message, 'Unknown message type "pause"');
+});
+
+test('a cancelled experiment returns what it finished', async () => {
+    replies = [];
+    send({ type: 'start', options: { ...OPTIONS, episodes: 100000 } });
+    send({ type: 'start', options: OPTIONS });
+    assert.equal((await waitFor('error')).message, 'An experiment is already running');
+    
+    send({ type: 'cancel' });
+    const cancelled = await waitFor('cancelled', 'done');
+    assert.equal(cancelled.type, 'cancelled');
+    assert.ok(cancelled.results.episodes > 0 && cancelled.results.episodes < 100000);
+});